@@ -8,12 +8,27 @@ import { fileURLToPath } from 'url';
 
 import uploadRoutes from '../routes/uploadRoutes.js';
 import queryRoutes from '../routes/queryRoutes.js';
+import documentRoutes from '../routes/documentRoutes.js';
+import conversationRoutes from '../routes/conversationRoutes.js';
+import jobRoutes from '../routes/jobRoutes.js';
+import extractRoutes from '../routes/extractRoutes.js';
+import adminRoutes from '../routes/adminRoutes.js';
+import usageRoutes from '../routes/usageRoutes.js';
+import { startJobWorker } from '../services/jobs.js';
+import { requireAuth, requireAdmin } from '../services/auth.js';
+import { createLogger, requestLogger } from '../services/logger.js';
+import { httpMetrics, metricsHandler } from '../services/metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const uploadsDir = path.join(__dirname, '../uploads');
 
+const logger = createLogger('server');
+
 const app = express();
+// Request ids and timings first, so every later handler runs inside them
+app.use(requestLogger);
+app.use(httpMetrics);
 
 app.use(cors({
   origin: [
@@ -22,33 +37,53 @@ app.use(cors({
   ],
   credentials: true, 
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'x-session-id']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'x-session-id', 'x-api-key', 'X-Request-Id'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id']
 }));
 
+// Client IPs for rate limiting come from X-Forwarded-For behind a proxy
+// (TRUST_PROXY: hop count, or true)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
 app.options('*', cors());
 
 app.use(express.json({ limit: '10mb' }));
-app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
+// Raw uploads of every tenant live here, so only admins may browse them
+app.use('/uploads', requireAuth, requireAdmin, express.static(path.join(process.cwd(), 'uploads')));
 
 // Create uploads directory if it doesn't exist
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
-  console.log('📁 Created uploads folder:', uploadsDir);
+  logger.info('Created uploads folder', { path: uploadsDir });
 }
 
 // MongoDB connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log('Mongo connected'))
-  .catch(e => console.error('Mongo error', e));
+  .then(() => {
+    logger.info('Mongo connected');
+    startJobWorker();
+  })
+  .catch(e => logger.error('Mongo connection failed', e));
 
 // Routes
 app.get('/', (req, res) => {
   res.json({ ok: true, service: 'Visual Doc RAG API' });
 });
+// Prometheus scrape endpoint (METRICS_ENABLED, METRICS_TOKEN)
+app.get('/metrics', metricsHandler);
 
-app.use('/api/upload', uploadRoutes);
-app.use('/api/query', queryRoutes);
+app.use('/api/upload', requireAuth, uploadRoutes);
+app.use('/api/query', requireAuth, queryRoutes);
+app.use('/api/documents', requireAuth, documentRoutes);
+app.use('/api/conversations', requireAuth, conversationRoutes);
+app.use('/api/jobs', requireAuth, jobRoutes);
+app.use('/api/extract', requireAuth, extractRoutes);
+app.use('/api/usage', requireAuth, usageRoutes);
+app.use('/api/admin', requireAuth, requireAdmin, adminRoutes);
 
 // Export for Vercel (no app.listen needed)
 export default app;
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+const ApiKeySchema = new mongoose.Schema({
+  name: String, // label shown in the admin listing
+  tenant: { type: String, required: true, index: true }, // data the key can see and write
+  role: { type: String, default: 'user' }, // user | admin (manages keys)
+  keyHash: { type: String, required: true, unique: true }, // sha256 of the key; the key itself is only shown once
+  prefix: String, // first characters of the key, to tell keys apart
+  lastUsedAt: Date,
+  revokedAt: Date
+}, { timestamps: true });
+
+
+export default mongoose.model('ApiKey', ApiKeySchema);
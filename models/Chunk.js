@@ -2,13 +2,24 @@ import mongoose from 'mongoose';
 
 const ChunkSchema = new mongoose.Schema({
   docId: String,
+  tenant: { type: String, index: true }, // owner; every search is scoped to one tenant
   source: String,
   page: Number,
-  type: { type: String, default: 'text' }, // text | table | image_ocr | chart_ocr | ocr
+  type: { type: String, default: 'text' }, // text | table | chart | image_ocr | chart_ocr | certificate_ocr | table_ocr
   text: { type: String, index: true },
+  // Detected language (Tesseract code: eng, hin, fra, ...). Not named `language`,
+  // which the text index would read as its stemming language override.
+  lang: String,
   vector: { type: [Number], index: false }, // Atlas Vector index created via CLI/UI
+  embeddingModel: { type: String, index: true }, // model that produced `vector` (see services/embeddingModels.js)
+  embeddingDimensions: Number,
   metadata: { type: Object, default: {} }
 }, { timestamps: true });
 
+// Lexical side of hybrid retrieval ($text search)
+ChunkSchema.index({ text: 'text' });
+// Embedding models of a tenant's vectors, checked before vector searches
+ChunkSchema.index({ tenant: 1, embeddingModel: 1 });
+
 
 export default mongoose.model('Chunk', ChunkSchema);
\ No newline at end of file
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+const TurnSchema = new mongoose.Schema({
+  question: String,
+  standaloneQuestion: String, // follow-up rewritten with history, used for retrieval
+  answer: String,
+  contexts: { type: [Object], default: [] } // { docId, source, page, type, score }
+}, { timestamps: true });
+
+const ConversationSchema = new mongoose.Schema({
+  title: String,
+  tenant: { type: String, index: true },
+  turns: { type: [TurnSchema], default: [] }
+}, { timestamps: true });
+
+
+export default mongoose.model('Conversation', ConversationSchema);
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+const DocumentSchema = new mongoose.Schema({
+  docId: { type: String, required: true, unique: true },
+  tenant: { type: String, index: true }, // owner (API key or JWT tenant)
+  filename: String, // original upload name
+  mimetype: String,
+  size: Number,
+  storagePath: String, // original file kept for previews
+  contentHash: { type: String, index: true }, // sha256 of the original file
+  version: { type: Number, default: 1 },
+  versionOf: String, // docId of the first version when uploaded as a new version
+  chunkCount: { type: Number, default: 0 },
+  // Structured extraction results by schema name (see services/extraction.js)
+  extractions: { type: Object, default: {} },
+  // Cached whole-document summaries by `${length}_${style}`, cleared on re-ingest (see services/summary.js)
+  summaries: { type: Object, default: {} },
+  metadata: { type: Object, default: {} }
+}, { timestamps: true });
+
+
+export default mongoose.model('Document', DocumentSchema);
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+const EmbeddingCacheSchema = new mongoose.Schema({
+  hash: { type: String, required: true, unique: true }, // sha256 of model + text
+  model: String,
+  vector: { type: [Number], index: false },
+  lastUsedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Entries unused for EMBEDDING_CACHE_TTL_DAYS (default 30; 0 keeps them
+// forever) are removed by MongoDB's TTL monitor. Hits refresh lastUsedAt.
+const TTL_DAYS = Number(process.env.EMBEDDING_CACHE_TTL_DAYS ?? 30);
+if (TTL_DAYS > 0) {
+  EmbeddingCacheSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: Math.round(TTL_DAYS * 86400) });
+}
+
+export default mongoose.model('EmbeddingCache', EmbeddingCacheSchema);
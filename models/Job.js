@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const JobSchema = new mongoose.Schema({
+  type: { type: String, default: 'ingest' }, // ingest | reingest (swap the chunks of an existing docId)
+  status: { type: String, default: 'queued', index: true }, // queued | running | completed | failed | cancelled
+  docId: String,
+  tenant: { type: String, index: true }, // owner of the upload
+  filename: String, // original upload name
+  filePath: String, // multer temp file, removed once processed
+  fromUpload: { type: Boolean, default: false }, // re-ingest of a fresh upload (the original was gone); the job owns filePath
+  mimetype: String,
+  size: Number,
+  contentHash: { type: String, index: true }, // sha256 of the upload
+  version: Number,
+  versionOf: String,
+  sessionId: String, // SSE progress stream of the uploading client
+  options: { type: Object, default: {} }, // ingestion options from the upload (chunking, ...)
+  stage: { type: String, default: 'queued' }, // queued | extracting | ocr | embedding | indexing | done
+  progress: {
+    current: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  message: String,
+  error: String,
+  result: { type: Object, default: null },
+  cancelRequested: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 },
+  workerId: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+
+export default mongoose.model('Job', JobSchema);
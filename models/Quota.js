@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Per-tenant overrides of the QUOTA_* defaults; unset fields use the default,
+// 0 means unlimited
+const QuotaSchema = new mongoose.Schema({
+  tenant: { type: String, required: true, unique: true },
+  maxDocuments: Number,
+  maxChunks: Number,
+  maxBytes: Number, // total size of the original uploads
+  maxActiveJobs: Number // ingestions queued or running at once
+}, { timestamps: true });
+
+
+export default mongoose.model('Quota', QuotaSchema);
@@ -0,0 +1,97 @@
+import express from 'express';
+import { createApiKey, listApiKeys, revokeApiKey, validateTenant } from '../services/auth.js';
+import { getDefaultQuota, getQuota, getUsage, setQuota, deleteQuota, listQuotaOverrides } from '../services/quotas.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('admin');
+
+// Mounted behind requireAuth + requireAdmin
+const router = express.Router();
+
+router.get('/keys', async (req, res) => {
+  try {
+    const { tenant, includeRevoked } = req.query;
+    const keys = await listApiKeys({ tenant, includeRevoked: includeRevoked === 'true' });
+    res.json({ ok: true, keys });
+  } catch (e) {
+    logger.error('List API keys error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// The key is only returned here; store it, it can't be shown again
+router.post('/keys', async (req, res) => {
+  try {
+    const { name, tenant, role } = req.body || {};
+    const { key, apiKey } = await createApiKey({ name, tenant, role });
+    logger.info('Created API key', { prefix: apiKey.prefix, role: apiKey.role, tenant: apiKey.tenant });
+    res.status(201).json({ ok: true, key, apiKey });
+  } catch (e) {
+    logger.error('Create API key error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ ok: false, error: 'API key not found' });
+    }
+    logger.info('Revoked API key', { prefix: apiKey.prefix, tenant: apiKey.tenant });
+    res.json({ ok: true, apiKey });
+  } catch (e) {
+    logger.error('Revoke API key error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get('/quotas', async (req, res) => {
+  try {
+    const overrides = await listQuotaOverrides();
+    res.json({ ok: true, defaults: getDefaultQuota(), overrides });
+  } catch (e) {
+    logger.error('List quotas error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get('/quotas/:tenant', async (req, res) => {
+  try {
+    const tenant = validateTenant(req.params.tenant);
+    const [quota, usage] = await Promise.all([getQuota(tenant), getUsage(tenant)]);
+    res.json({ ok: true, tenant, quota, usage });
+  } catch (e) {
+    logger.error('Get quota error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Body: any of { maxDocuments, maxChunks, maxBytes, maxActiveJobs }; 0 is
+// unlimited, null goes back to the default
+router.put('/quotas/:tenant', async (req, res) => {
+  try {
+    const tenant = validateTenant(req.params.tenant);
+    const quota = await setQuota(tenant, req.body || {});
+    logger.info('Updated quota', { tenant });
+    res.json({ ok: true, tenant, quota });
+  } catch (e) {
+    logger.error('Set quota error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+router.delete('/quotas/:tenant', async (req, res) => {
+  try {
+    const tenant = validateTenant(req.params.tenant);
+    if (!await deleteQuota(tenant)) {
+      return res.status(404).json({ ok: false, error: 'No quota override for this tenant' });
+    }
+    res.json({ ok: true, tenant, quota: await getQuota(tenant) });
+  } catch (e) {
+    logger.error('Delete quota error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+export default router;
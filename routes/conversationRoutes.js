@@ -0,0 +1,61 @@
+import express from 'express';
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  deleteConversation
+} from '../services/conversation.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('conversations');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const conversations = await listConversations(req.auth.tenant);
+    res.json({ ok: true, conversations });
+  } catch (e) {
+    logger.error('List conversations error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { title } = req.body || {};
+    const conversation = await createConversation({ title, tenant: req.auth.tenant });
+    res.status(201).json({ ok: true, conversation });
+  } catch (e) {
+    logger.error('Create conversation error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.auth.tenant);
+    if (!conversation) {
+      return res.status(404).json({ ok: false, error: 'Conversation not found' });
+    }
+    res.json({ ok: true, conversation });
+  } catch (e) {
+    logger.error('Get conversation error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const conversation = await deleteConversation(req.params.id, req.auth.tenant);
+    if (!conversation) {
+      return res.status(404).json({ ok: false, error: 'Conversation not found' });
+    }
+    res.json({ ok: true, id: conversation._id });
+  } catch (e) {
+    logger.error('Delete conversation error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+export default router;
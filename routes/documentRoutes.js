@@ -0,0 +1,106 @@
+import express from 'express';
+import { listDocuments, getDocument, deleteDocument } from '../services/documents.js';
+import { getChunkHighlight, renderChunkHighlight } from '../services/preview.js';
+import { enqueueReingestJob, toJobResponse } from '../services/jobs.js';
+import { resolveChunkStrategy } from '../services/chunk.js';
+import { parseLanguages } from '../services/language.js';
+import { parseSummaryOptions, summarizeDocument } from '../services/summary.js';
+import { uploadRateLimit, queryRateLimit } from '../services/rateLimit.js';
+import { checkIngestQuota } from '../services/quotas.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('documents');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const documents = await listDocuments(req.auth.tenant);
+    res.json({ ok: true, documents });
+  } catch (e) {
+    logger.error('List documents error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get('/:docId', async (req, res) => {
+  try {
+    const document = await getDocument(req.params.docId, req.auth.tenant);
+    if (!document) {
+      return res.status(404).json({ ok: false, error: 'Document not found' });
+    }
+    res.json({ ok: true, document });
+  } catch (e) {
+    logger.error('Get document error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Page image (default) or box list for the regions behind one chunk
+router.get('/:docId/chunks/:chunkId/highlight', async (req, res) => {
+  try {
+    const { docId, chunkId } = req.params;
+    if (req.query.format === 'json') {
+      const highlight = await getChunkHighlight(docId, chunkId, req.auth.tenant);
+      return res.json({ ok: true, highlight });
+    }
+
+    const scale = Math.min(Math.max(Number(req.query.scale) || 1.5, 0.5), 4);
+    const png = await renderChunkHighlight(docId, chunkId, { scale, tenant: req.auth.tenant });
+    res.set('Content-Type', 'image/png');
+    res.send(png);
+  } catch (e) {
+    logger.error('Chunk highlight error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Summary of the whole document (?length=short|medium|long, ?style=paragraph|bullets|executive,
+// ?refresh=true to bypass the cache)
+router.get('/:docId/summary', queryRateLimit, async (req, res) => {
+  try {
+    const options = parseSummaryOptions(req.query);
+    const summary = await summarizeDocument(req.params.docId, { ...options, tenant: req.auth.tenant });
+    res.json({ ok: true, summary });
+  } catch (e) {
+    logger.error('Summary error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Reprocess the stored original with the current pipeline settings; the
+// document's chunks are swapped once the new ones are indexed
+router.post('/:docId/reingest', uploadRateLimit, async (req, res) => {
+  try {
+    const chunking = req.body?.chunking || undefined;
+    if (chunking) resolveChunkStrategy('text', chunking);
+    const languages = parseLanguages(req.body?.languages);
+    await checkIngestQuota(req.auth.tenant, { jobs: 1 });
+
+    const job = await enqueueReingestJob(req.params.docId, {
+      tenant: req.auth.tenant,
+      sessionId: req.headers['x-session-id'],
+      options: { chunking, languages }
+    });
+    res.status(202).json({ ok: true, job: toJobResponse(job) });
+  } catch (e) {
+    logger.error('Re-ingest error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message, ...(e.quota && { quota: e.quota, usage: e.usage }) });
+  }
+});
+
+router.delete('/:docId', async (req, res) => {
+  try {
+    const result = await deleteDocument(req.params.docId, req.auth.tenant);
+    if (!result) {
+      return res.status(404).json({ ok: false, error: 'Document not found' });
+    }
+    logger.info('Deleted document', { docId: result.docId, chunks: result.chunksDeleted });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    logger.error('Delete document error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+export default router;
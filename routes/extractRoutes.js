@@ -0,0 +1,60 @@
+import express from 'express';
+import { extractDocumentFields, listExtractions } from '../services/extraction.js';
+import { EXTRACTION_SCHEMAS } from '../services/extractionSchemas.js';
+import { queryRateLimit } from '../services/rateLimit.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('extract');
+
+const router = express.Router();
+
+// Built-in schemas and their fields
+router.get('/schemas', (req, res) => {
+  const schemas = Object.entries(EXTRACTION_SCHEMAS).map(([name, schema]) => ({
+    name,
+    title: schema.title,
+    fields: Object.entries(schema.properties).map(([field, definition]) => ({
+      name: field,
+      type: definition.type,
+      ...(definition.format && { format: definition.format }),
+      title: definition.title,
+      ...(definition.description && { description: definition.description })
+    }))
+  }));
+  res.json({ ok: true, schemas });
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const extractions = await listExtractions({
+      tenant: req.auth.tenant,
+      schema: req.query.schema || undefined,
+      docId: req.query.docId || undefined
+    });
+    res.json({ ok: true, extractions });
+  } catch (e) {
+    logger.error('List extractions error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Fill a built-in or custom JSON schema from one document
+router.post('/', queryRateLimit, async (req, res) => {
+  try {
+    const { docId, schema, name } = req.body || {};
+    if (!docId || typeof docId !== 'string') {
+      return res.status(400).json({ ok: false, error: 'docId is required' });
+    }
+    if (!schema) {
+      return res.status(400).json({ ok: false, error: 'schema is required (built-in schema name or JSON Schema object)' });
+    }
+
+    const extraction = await extractDocumentFields(docId, { schema, name, tenant: req.auth.tenant });
+    res.json({ ok: true, extraction });
+  } catch (e) {
+    logger.error('Extraction error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+import express from 'express';
+import { getJob, listJobs, cancelJob, toJobResponse } from '../services/jobs.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('jobs');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const jobs = await listJobs({ status, limit, tenant: req.auth.tenant });
+    res.json({ ok: true, jobs: jobs.map(toJobResponse) });
+  } catch (e) {
+    logger.error('List jobs error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, req.auth.tenant);
+    if (!job) {
+      return res.status(404).json({ ok: false, error: 'Job not found' });
+    }
+    res.json({ ok: true, job: toJobResponse(job) });
+  } catch (e) {
+    logger.error('Get job error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id, req.auth.tenant);
+    res.json({ ok: true, job: toJobResponse(job) });
+  } catch (e) {
+    logger.error('Cancel job error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+export default router;
@@ -1,16 +1,120 @@
 import express from 'express';
-import { queryRAG } from '../services/query.js';
+import { queryRAG, retrieveContexts, toContextResponse, buildCitations } from '../services/query.js';
+import { streamAnswer } from '../services/generation.js';
+import { resolveRetrievalOptions } from '../services/hybrid.js';
+import { prepareConversationQuery, recordTurn } from '../services/conversation.js';
+import { parseQueryFilters } from '../services/filters.js';
+import { queryRateLimit } from '../services/rateLimit.js';
+import { openEventStream, writeEvent } from '../services/sse.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('query');
 
 const router = express.Router();
 
-router.post('/', async (req, res) => {
+// Per-request retrieval settings: { mode, vectorWeight, keywordWeight, rrfK, rerank, filters }
+function retrievalOptionsFromBody(body = {}) {
+  const { mode, vectorWeight, keywordWeight, rrfK, rerank, filters } = body;
+  return { mode, vectorWeight, keywordWeight, rrfK, rerank, filters };
+}
+
+// Questions must be non-blank strings
+function isValidQuestion(question) {
+  return typeof question === 'string' && Boolean(question.trim());
+}
+
+router.post('/', queryRateLimit, async (req, res) => {
+  const { question, topK = 5 } = req.body || {};
+  if (!isValidQuestion(question)) {
+    return res.status(400).json({ ok: false, error: 'Question is required' });
+  }
+
   try {
-    const { question, topK = 5 } = req.body || {};
-    const result = await queryRAG(question, topK);
+    const { conversationId } = req.body || {};
+    const result = await queryRAG(question, topK, {
+      ...retrievalOptionsFromBody(req.body),
+      conversationId,
+      tenant: req.auth.tenant
+    });
     res.json({ ok: true, ...result });
   } catch (e) {
-    console.error('❌ Query error:', e);
-    res.status(500).json({ ok: false, error: e.message });
+    logger.error('Query error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// SSE variant: contexts first, then answer deltas, then citations and timing
+router.post('/stream', queryRateLimit, async (req, res) => {
+  const { question, topK = 5 } = req.body || {};
+  if (!isValidQuestion(question)) {
+    return res.status(400).json({ ok: false, error: 'Question is required' });
+  }
+
+  const { conversationId } = req.body;
+  let retrieval;
+  let standaloneQuestion = question;
+  let history = [];
+  try {
+    const options = retrievalOptionsFromBody(req.body);
+    retrieval = {
+      ...resolveRetrievalOptions(options),
+      rerank: options.rerank,
+      filters: parseQueryFilters(options.filters),
+      tenant: req.auth.tenant
+    };
+    if (conversationId) {
+      ({ standaloneQuestion, history } = await prepareConversationQuery(conversationId, question, req.auth.tenant));
+    }
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+
+  openEventStream(res);
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const send = (payload) => {
+    if (!controller.signal.aborted) writeEvent(res, payload);
+  };
+
+  const started = Date.now();
+  try {
+    const hits = await retrieveContexts(standaloneQuestion, topK, retrieval);
+    const retrievalMs = Date.now() - started;
+    send({
+      type: 'contexts',
+      contexts: hits.map(toContextResponse),
+      ...(conversationId && { conversationId, standaloneQuestion })
+    });
+
+    const answer = await streamAnswer(question, hits, (text) => send({ type: 'token', text }), {
+      signal: controller.signal,
+      history,
+      standaloneQuestion
+    });
+
+    if (conversationId) {
+      await recordTurn(conversationId, { question, standaloneQuestion, answer, contexts: hits });
+    }
+
+    send({
+      type: 'complete',
+      answer,
+      citations: buildCitations(answer, hits),
+      timing: {
+        retrievalMs,
+        generationMs: Date.now() - started - retrievalMs,
+        totalMs: Date.now() - started
+      }
+    });
+  } catch (e) {
+    if (!controller.signal.aborted) {
+      logger.error('Streaming query error', e);
+      send({ type: 'error', message: e.message });
+    }
+  } finally {
+    res.end();
   }
 });
 
@@ -2,8 +2,19 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { processFileAndIndex } from '../services/ingest.js';
+import { planUpload, enqueueUpload, toJobResponse, DUPLICATE_POLICIES } from '../services/jobs.js';
+import { resolveChunkStrategy } from '../services/chunk.js';
+import { parseLanguages } from '../services/language.js';
+import { detectFormat } from '../services/formats.js';
+import { uploadRateLimit } from '../services/rateLimit.js';
+import { checkIngestQuota } from '../services/quotas.js';
+import { registerProgressStream, unregisterProgressStream, sendProgressUpdate, closeProgressStream } from '../services/progress.js';
+import { openEventStream, writeEvent } from '../services/sse.js';
 import fs from 'fs';
+import crypto from 'crypto';
+import { createLogger, keepLogContext } from '../services/logger.js';
+
+const logger = createLogger('upload');
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -32,134 +43,142 @@ const upload = multer({
 
 // SSE endpoint for real-time progress updates
 router.get('/progress/:sessionId', (req, res) => {
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
+  openEventStream(res, {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Cache-Control'
   });
 
+  // Only the tenant's own uploads report on this stream
+  const { tenant } = req.auth;
   const sessionId = req.params.sessionId;
-  
-  if (!req.app.locals.sseConnections) {
-    req.app.locals.sseConnections = {};
-  }
-  req.app.locals.sseConnections[sessionId] = res;
+  registerProgressStream(tenant, sessionId, res);
 
-  res.write(`data: ${JSON.stringify({ 
-    type: 'info', 
-    emoji: '🔗', 
-    message: 'Connected to processing stream' 
-  })}\n\n`);
+  writeEvent(res, { type: 'info', emoji: '🔗', message: 'Connected to processing stream' });
 
   req.on('close', () => {
-    delete req.app.locals.sseConnections[sessionId];
+    unregisterProgressStream(tenant, sessionId, res);
   });
 });
 
-function sendProgressUpdate(app, sessionId, type, emoji, message) {
-  const connection = app.locals.sseConnections?.[sessionId];
-  if (connection) {
-    try {
-      connection.write(`data: ${JSON.stringify({ type, emoji, message })}\n\n`);
-    } catch (error) {
-      console.warn('Failed to send SSE update:', error.message);
-    }
-  }
-  console.log(`${emoji} ${message}`);
-}
-
-// ✅ CRITICAL FIX: Updated upload endpoint with proper error handling
-router.post('/', upload.array('files'), async (req, res) => {
-  // ✅ Add timeout protection
-  req.setTimeout(300000); // 5 minutes
-  res.setTimeout(300000);
-  
-  const sessionId = req.headers['x-session-id'] || Date.now().toString();
+// Files are queued as background ingestion jobs; poll GET /api/jobs/:id
+// (or follow the SSE progress stream) for their status. The rate limit runs
+// before multer so refused requests don't write anything to disk.
+router.post('/', uploadRateLimit, keepLogContext(upload.array('files')), async (req, res) => {
+  const { tenant } = req.auth;
+  const sessionId = req.headers['x-session-id'] || crypto.randomUUID();
   
-  console.log('📤 Upload endpoint hit');
-  console.log('Memory usage:', process.memoryUsage()); // Monitor memory
-  console.log('Files received:', req.files);
-  
-  sendProgressUpdate(req.app, sessionId, 'info', '📤', 'Upload endpoint hit');
+  logger.info('Upload received', {
+    sessionId,
+    files: req.files?.length || 0,
+    bytes: (req.files || []).reduce((sum, f) => sum + f.size, 0)
+  });
+
+  sendProgressUpdate(tenant, sessionId, 'info', '📤', 'Upload endpoint hit');
 
   if (!req.files || !req.files.length) {
-    sendProgressUpdate(req.app, sessionId, 'error', '❌', 'No files uploaded');
+    sendProgressUpdate(tenant, sessionId, 'error', '❌', 'No files uploaded');
     return res.status(400).json({ ok: false, error: 'No files uploaded' });
   }
 
   // ✅ Check file sizes
   const totalSize = req.files.reduce((sum, file) => sum + file.size, 0);
   if (totalSize > 10 * 1024 * 1024) { // 10MB total limit
-    sendProgressUpdate(req.app, sessionId, 'error', '❌', 'Files too large');
+    req.files.forEach(f => fs.existsSync(f.path) && fs.unlinkSync(f.path));
+    sendProgressUpdate(tenant, sessionId, 'error', '❌', 'Files too large');
     return res.status(400).json({ ok: false, error: 'Files too large. Max 10MB total.' });
   }
 
-  sendProgressUpdate(req.app, sessionId, 'info', '📄', `Processing ${req.files.length} file(s)`);
-
-  // ✅ WRAP EVERYTHING IN TRY-CATCH
+  // Optional chunking strategy for this upload (fixed | recursive | semantic)
+  // and OCR languages (e.g. "eng+hin"; default: detected automatically)
+  const chunking = req.body.chunking || undefined;
+  let languages;
   try {
-    const ingested = [];
-    
-    for (const f of req.files) {
-      const docId = `${Date.now()}-${f.originalname}`;
-      console.log(`Processing file: ${f.path}`);
-      sendProgressUpdate(req.app, sessionId, 'processing', '🔄', `Processing file: ${f.originalname}`);
-      
-      const progressCallback = (step, current, total, extraInfo = '') => {
-        sendProgressUpdate(req.app, sessionId, ...step, current, total, extraInfo);
-      };
-      
-      // ✅ Add individual file processing timeout
-      const fileProcessingPromise = processFileAndIndex(f.path, docId, f.mimetype, progressCallback);
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('File processing timeout')), 240000); // 4 minutes
-      });
-      
-      const result = await Promise.race([fileProcessingPromise, timeoutPromise]);
-      ingested.push({ docId, ...result });
-    }
+    if (chunking) resolveChunkStrategy('text', chunking);
+    languages = parseLanguages(req.body.languages);
+  } catch (error) {
+    req.files.forEach(f => fs.existsSync(f.path) && fs.unlinkSync(f.path));
+    return res.status(error.status || 400).json({ ok: false, error: error.message });
+  }
+
+  // What to do with files whose content is already ingested: skip | replace | version
+  const duplicate = req.body.duplicate || process.env.DUPLICATE_POLICY || 'skip';
+  if (!DUPLICATE_POLICIES.includes(duplicate)) {
+    req.files.forEach(f => fs.existsSync(f.path) && fs.unlinkSync(f.path));
+    return res.status(400).json({ ok: false, error: `Invalid duplicate policy "${duplicate}". Expected one of: ${DUPLICATE_POLICIES.join(', ')}` });
+  }
 
-    const totalChunks = ingested.reduce((a, b) => a + (b.count || 0), 0);
-    sendProgressUpdate(req.app, sessionId, 'success', '🎉', `Processing complete! Total chunks: ${totalChunks}`);
-    
-    setTimeout(() => {
-      const connection = req.app.locals.sseConnections?.[sessionId];
-      if (connection) {
-        connection.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
-        connection.end();
-        delete req.app.locals.sseConnections[sessionId];
+  // Formats come from the file content; the client's MIME type is replaced
+  // by the detected one
+  const unsupported = [];
+  for (const f of req.files) {
+    try {
+      f.mimetype = (await detectFormat(f.path, { filename: f.originalname, mimetype: f.mimetype })).mimetype;
+    } catch (error) {
+      if (error.status === 415) {
+        unsupported.push({ filename: f.originalname, error: error.message });
+        continue;
       }
-    }, 1000);
+      req.files.forEach(f => fs.existsSync(f.path) && fs.unlinkSync(f.path));
+      logger.error('Format detection error', error);
+      sendProgressUpdate(tenant, sessionId, 'error', '❌', `Error: ${error.message}`);
+      return res.status(500).json({ ok: false, error: error.message });
+    }
+  }
+  if (unsupported.length) {
+    req.files.forEach(f => fs.existsSync(f.path) && fs.unlinkSync(f.path));
+    sendProgressUpdate(tenant, sessionId, 'error', '❌', `Unsupported file type: ${unsupported.map(u => u.filename).join(', ')}`);
+    return res.status(415).json({ ok: false, error: 'Unsupported file type', unsupported });
+  }
 
-    res.json({ ok: true, ingested });
-    
+  // Duplicates are sorted out first so files that will be skipped don't count
+  // against the quota: already ingested or in flight, or repeating an earlier
+  // file of this request. Replaced documents are re-ingests, not new documents.
+  let plans;
+  try {
+    plans = await Promise.all(req.files.map(f => planUpload(f, { tenant, duplicate })));
+    const queued = plans
+      .map((plan, i) => ({ plan, file: req.files[i] }))
+      .filter(({ plan }, i) => plan.action !== 'skip' && plans.findIndex(p => p.contentHash === plan.contentHash) === i);
+    const added = queued.filter(({ plan }) => plan.action !== 'replace').map(({ file }) => file);
+    if (queued.length) {
+      await checkIngestQuota(tenant, { jobs: queued.length, documents: added.length, bytes: added.reduce((sum, f) => sum + f.size, 0) });
+    }
   } catch (error) {
-    console.error('❌ Error during ingestion:', error);
-    console.error('❌ Stack trace:', error.stack);
-    sendProgressUpdate(req.app, sessionId, 'error', '❌', `Error: ${error.message}`);
-    
-    // ✅ Ensure SSE connection is closed on error
-    const connection = req.app.locals.sseConnections?.[sessionId];
-    if (connection) {
-      try {
-        connection.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
-        connection.end();
-      } catch (e) {
-        console.warn('Failed to close SSE connection:', e.message);
+    req.files.forEach(f => fs.existsSync(f.path) && fs.unlinkSync(f.path));
+    if (error.status !== 429) {
+      logger.error('Quota check error', error);
+      return res.status(500).json({ ok: false, error: error.message });
+    }
+    sendProgressUpdate(tenant, sessionId, 'error', '❌', error.message);
+    return res.status(429).json({ ok: false, error: error.message, quota: error.quota, usage: error.usage });
+  }
+
+  try {
+    const jobs = [];
+    const skipped = [];
+    for (const [i, f] of req.files.entries()) {
+      const queued = await enqueueUpload(f, { tenant, sessionId, options: { chunking, languages }, duplicate, contentHash: plans[i].contentHash });
+      if (queued.job) {
+        jobs.push(toJobResponse(queued.job));
+      } else {
+        skipped.push(queued.skipped);
+        sendProgressUpdate(tenant, sessionId, 'info', '⏭️', `Skipped ${f.originalname}: already ingested as ${queued.skipped.docId}`);
       }
-      delete req.app.locals.sseConnections[sessionId];
     }
-    
-    // ✅ Send proper error response
-    if (!res.headersSent) {
-      res.status(500).json({ 
-        ok: false, 
-        error: error.message || 'Processing failed',
-        details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      });
+
+    sendProgressUpdate(tenant, sessionId, 'info', '📄', `Queued ${jobs.length} file(s) for processing`);
+    if (!jobs.length) {
+      closeProgressStream(tenant, sessionId, { type: 'complete' });
     }
+    res.status(jobs.length ? 202 : 200).json({ ok: true, sessionId, jobs, skipped });
+  } catch (error) {
+    logger.error('Error queuing ingestion', error);
+    sendProgressUpdate(tenant, sessionId, 'error', '❌', `Error: ${error.message}`);
+    res.status(500).json({ 
+      ok: false, 
+      error: error.message || 'Failed to queue files',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
   }
 });
 
@@ -0,0 +1,22 @@
+import express from 'express';
+import { getQuota, getUsage } from '../services/quotas.js';
+import { getRateLimitStatus } from '../services/rateLimit.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('usage');
+
+const router = express.Router();
+
+// Storage use and quotas of the caller's tenant, and the caller's rate limits
+router.get('/', async (req, res) => {
+  try {
+    const { tenant } = req.auth;
+    const [quota, usage] = await Promise.all([getQuota(tenant), getUsage(tenant)]);
+    res.json({ ok: true, tenant, usage, quota, rateLimits: getRateLimitStatus(req) });
+  } catch (e) {
+    logger.error('Usage error', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,52 @@
+/**
+ * Give data stored before tenants existed an owner.
+ *
+ *   node scripts/assignTenant.js [--tenant <name>] [--dry-run]
+ *
+ * --tenant defaults to DEFAULT_TENANT ("default"). Chunks, documents, jobs
+ * and conversations without a tenant are assigned to it; until then no
+ * search or listing returns them.
+ */
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import Chunk from '../models/Chunk.js';
+import Document from '../models/Document.js';
+import Job from '../models/Job.js';
+import Conversation from '../models/Conversation.js';
+import { DEFAULT_TENANT, validateTenant } from '../services/auth.js';
+
+const { values: args } = parseArgs({
+  options: {
+    tenant: { type: 'string', default: DEFAULT_TENANT },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+const MODELS = { chunks: Chunk, documents: Document, jobs: Job, conversations: Conversation };
+
+async function main() {
+  const tenant = validateTenant(args.tenant);
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const filter = { tenant: null };
+  for (const [name, Model] of Object.entries(MODELS)) {
+    if (args['dry-run']) {
+      console.log(`🔎 ${await Model.countDocuments(filter)} ${name} without a tenant`);
+      continue;
+    }
+    const { modifiedCount } = await Model.updateMany(filter, { $set: { tenant } });
+    console.log(`✅ Assigned ${modifiedCount} ${name} to ${tenant}`);
+  }
+
+  if (!args['dry-run']) {
+    console.log('ℹ️ Restart servers using the local vector store so its in-memory index picks up the tenants');
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Tenant assignment failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,198 @@
+/**
+ * Evaluate retrieval and answers on a fixture corpus.
+ *
+ *   node scripts/evaluate.js [--dataset test/eval/dataset.jsonl] [--corpus test/eval/corpus]
+ *     [--tenant eval] [--top-k 5] [--mode hybrid] [--rerank] [--reingest]
+ *     [--out <report.json>] [--baseline <report.json>]
+ *
+ * Every file in --corpus is ingested for the --tenant (default "eval", so
+ * evaluation data never shows up for real tenants). Files already ingested
+ * with the same content are reused unless --reingest is set; documents whose
+ * file left the corpus are removed. Each dataset question then goes through
+ * queryRAG, and the report (recall@k, MRR, answer exact/contains match and
+ * token F1, latency, plus per-question results) is written as JSON to --out
+ * (default test/eval/reports/<timestamp>.json). With --baseline, metric and
+ * per-question changes against an earlier report are printed too. Exits with
+ * code 1 if any question failed.
+ */
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import { performance } from 'perf_hooks';
+import Document from '../models/Document.js';
+import { processFileAndIndex } from '../services/ingest.js';
+import { detectFormat } from '../services/formats.js';
+import { hashFile } from '../services/storage.js';
+import { recordDocument, listDocuments, deleteDocument } from '../services/documents.js';
+import { queryRAG } from '../services/query.js';
+import { resolveRetrievalOptions } from '../services/hybrid.js';
+import { isRerankEnabled } from '../services/rerank.js';
+import { closeEmbeddingWorkers, getEmbeddingModelInfo } from '../services/embedding.js';
+import { getLLMConfig } from '../services/generation.js';
+import { validateTenant } from '../services/auth.js';
+import { parseDataset, scoreRetrieval, scoreAnswer, summarizeResults, compareReports } from '../services/evaluation.js';
+
+const { values: args } = parseArgs({
+  options: {
+    dataset: { type: 'string', default: 'test/eval/dataset.jsonl' },
+    corpus: { type: 'string', default: 'test/eval/corpus' },
+    tenant: { type: 'string', default: 'eval' },
+    'top-k': { type: 'string', default: '5' },
+    mode: { type: 'string' },
+    rerank: { type: 'boolean', default: false },
+    reingest: { type: 'boolean', default: false },
+    out: { type: 'string' },
+    baseline: { type: 'string' }
+  }
+});
+
+// docIds of evaluation documents follow the tenant and corpus filename
+// (docIds are global, so two evaluation tenants can't share them)
+function corpusDocId(tenant, filename) {
+  return `eval-${tenant}-${filename}`;
+}
+
+async function ingestCorpus(corpusDir, tenant) {
+  const files = fs.readdirSync(corpusDir)
+    .filter(name => !name.startsWith('.') && fs.statSync(path.join(corpusDir, name)).isFile())
+    .sort();
+  if (!files.length) throw new Error(`No files in corpus ${corpusDir}`);
+
+  for (const filename of files) {
+    const filePath = path.join(corpusDir, filename);
+    const docId = corpusDocId(tenant, filename);
+    const contentHash = await hashFile(filePath);
+    const existing = await Document.findOne({ docId, tenant }).lean();
+    if (existing?.contentHash === contentHash && existing.chunkCount && !args.reingest) {
+      console.log(`♻️ ${filename}: already ingested (${existing.chunkCount} chunks)`);
+      continue;
+    }
+
+    const { mimetype } = await detectFormat(filePath, { filename });
+    // The corpus file is the original; it must outlive the evaluation
+    const result = await processFileAndIndex(filePath, docId, mimetype, null, {
+      tenant,
+      replace: Boolean(existing),
+      keepFile: true
+    });
+    await recordDocument({
+      docId,
+      tenant,
+      filename,
+      mimetype,
+      size: fs.statSync(filePath).size,
+      chunkCount: result.count || 0,
+      contentHash
+    });
+    console.log(`📥 ${filename}: ingested ${result.count} chunks`);
+  }
+
+  const expected = new Set(files.map(filename => corpusDocId(tenant, filename)));
+  for (const document of await listDocuments(tenant)) {
+    if (!expected.has(document.docId)) {
+      await deleteDocument(document.docId, tenant);
+      console.log(`🗑️ ${document.filename}: no longer in the corpus, removed`);
+    }
+  }
+  return files;
+}
+
+async function evaluateQuestion(entry, { topK, tenant, mode, rerank }) {
+  const result = { id: entry.id, question: entry.question };
+  const started = performance.now();
+  try {
+    const { answer, contexts } = await queryRAG(entry.question, topK, { tenant, mode, rerank, filters: entry.filters });
+    result.latencyMs = Math.round(performance.now() - started);
+    result.retrieved = contexts.map(c => `${path.basename(c.source || '')}${c.page ? `#${c.page}` : ''}`);
+    if (entry.expectedSources.length) Object.assign(result, scoreRetrieval(contexts, entry.expectedSources, topK));
+    if (entry.expectedAnswers.length) Object.assign(result, scoreAnswer(answer, entry.expectedAnswers));
+    result.answer = answer;
+  } catch (error) {
+    console.error(`❌ ${entry.id}: ${error.message}`);
+    result.error = error.message;
+    if (entry.expectedSources.length) Object.assign(result, { recall: 0, reciprocalRank: 0, firstRelevantRank: null });
+    if (entry.expectedAnswers.length) Object.assign(result, { exact: false, contains: false, f1: 0 });
+  }
+  return result;
+}
+
+function printComparison(baselinePath, report) {
+  const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  const { metrics, questions } = compareReports(baseline, report);
+  console.log(`\n📊 Compared with ${baselinePath}`);
+  for (const { metric, before, after, delta } of metrics) {
+    const change = delta ? ` (${delta > 0 ? '+' : ''}${delta})` : '';
+    console.log(`  ${metric}: ${before ?? '-'} → ${after ?? '-'}${change}`);
+  }
+  for (const { id, changes } of questions) {
+    const details = Object.entries(changes).map(([key, { before, after }]) => `${key} ${before} → ${after}`).join(', ');
+    console.log(`  ${id}: ${details}`);
+  }
+}
+
+async function main() {
+  const tenant = validateTenant(args.tenant);
+  const topK = Number(args['top-k']);
+  if (!Number.isInteger(topK) || topK < 1) throw new Error('--top-k must be a positive integer');
+  const { mode } = resolveRetrievalOptions({ mode: args.mode });
+  const rerank = isRerankEnabled(args.rerank || undefined);
+  const dataset = parseDataset(fs.readFileSync(args.dataset, 'utf8'));
+  console.log(`🧪 ${dataset.length} question(s) from ${args.dataset}`);
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const files = await ingestCorpus(args.corpus, tenant);
+
+  // Sequential, so latencies aren't skewed by questions competing for the CPU
+  const results = [];
+  for (const entry of dataset) {
+    const result = await evaluateQuestion(entry, { topK, tenant, mode, rerank });
+    results.push(result);
+    const scores = [
+      result.recall !== undefined && `recall ${result.recall}`,
+      result.reciprocalRank !== undefined && `rr ${result.reciprocalRank}`,
+      result.f1 !== undefined && `f1 ${result.f1}`,
+      result.latencyMs !== undefined && `${result.latencyMs} ms`
+    ].filter(Boolean).join(', ');
+    console.log(`${result.error ? '❌' : '✅'} ${entry.id}: ${scores}`);
+  }
+
+  const llm = getLLMConfig();
+  const report = {
+    config: {
+      dataset: args.dataset,
+      corpus: args.corpus,
+      files,
+      tenant,
+      topK,
+      mode,
+      rerank,
+      vectorStore: (process.env.VECTOR_STORE || 'atlas').toLowerCase(),
+      embeddingModel: getEmbeddingModelInfo().model,
+      llm: llm.enabled ? llm.model : 'heuristic'
+    },
+    summary: summarizeResults(results, topK),
+    questions: results,
+    generatedAt: new Date().toISOString()
+  };
+
+  const out = args.out || path.join('test', 'eval', 'reports', `${report.generatedAt.replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, `${JSON.stringify(report, null, 2)}\n`);
+
+  console.log(`\n📋 ${JSON.stringify(report.summary, null, 2)}`);
+  console.log(`💾 Report written to ${out}`);
+  if (args.baseline) printComparison(args.baseline, report);
+  if (report.summary.errors) process.exitCode = 1;
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Evaluation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closeEmbeddingWorkers();
+    await mongoose.disconnect();
+  });
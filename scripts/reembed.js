@@ -0,0 +1,98 @@
+/**
+ * Re-embed stored chunks with another embedding model, in batches.
+ *
+ *   node scripts/reembed.js [--model <name>] [--batch-size 64] [--doc <docId>] [--limit <n>] [--dry-run]
+ *
+ * --model defaults to EMBEDDING_MODEL. Chunks already carrying the target
+ * model are skipped, so an interrupted run resumes where it stopped when
+ * started again. Chunks that fail to embed keep their old vector and are
+ * retried on the next run.
+ */
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import Chunk from '../models/Chunk.js';
+import { embedTexts, closeEmbeddingWorkers } from '../services/embedding.js';
+import { getEmbeddingModelConfig, LEGACY_EMBEDDING_MODEL } from '../services/embeddingModels.js';
+
+const { values: args } = parseArgs({
+  options: {
+    model: { type: 'string' },
+    'batch-size': { type: 'string', default: '64' },
+    doc: { type: 'string' },
+    limit: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+async function main() {
+  const target = getEmbeddingModelConfig(args.model);
+  const batchSize = Math.max(1, Number(args['batch-size']) || 64);
+  const limit = args.limit ? Number(args.limit) : Infinity;
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const filter = { embeddingModel: { $ne: target.model } };
+  if (args.doc) filter.docId = args.doc;
+
+  const remaining = await Chunk.countDocuments(filter);
+  const total = Math.min(remaining, limit);
+  console.log(`🔁 ${remaining} chunk(s) not on ${target.model} (${target.dimensions} dimensions)`);
+  if (args['dry-run'] || !total) return;
+
+  let lastId = null;
+  let processed = 0;
+  let reembedded = 0;
+  let stamped = 0;
+  let failed = 0;
+
+  while (processed < total) {
+    // Walk by _id so chunks that fail in this run aren't picked up again
+    const chunks = await Chunk.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter, {
+      text: 1, vector: 1, embeddingModel: 1
+    })
+      .sort({ _id: 1 })
+      .limit(Math.min(batchSize, total - processed))
+      .lean();
+    if (!chunks.length) break;
+    lastId = chunks[chunks.length - 1]._id;
+
+    // Chunks from before model tracking that already hold target vectors
+    // only need the model recorded
+    const untracked = chunks.filter(c =>
+      !c.embeddingModel && target.model === LEGACY_EMBEDDING_MODEL && c.vector?.length === target.dimensions
+    );
+    const pending = chunks.filter(c => !untracked.includes(c));
+    const vectors = await embedTexts(pending.map(c => c.text), null, { model: target.model });
+
+    const modelFields = { embeddingModel: target.model, embeddingDimensions: target.dimensions };
+    const ops = [
+      ...untracked.map(c => ({
+        updateOne: { filter: { _id: c._id }, update: { $set: modelFields } }
+      })),
+      ...pending.flatMap((c, i) => vectors[i]
+        ? [{ updateOne: { filter: { _id: c._id }, update: { $set: { vector: vectors[i], ...modelFields } } } }]
+        : [])
+    ];
+    if (ops.length) await Chunk.bulkWrite(ops, { ordered: false });
+
+    processed += chunks.length;
+    stamped += untracked.length;
+    reembedded += vectors.filter(Boolean).length;
+    failed += vectors.filter(v => !v).length;
+    console.log(`✅ ${processed}/${total} (re-embedded ${reembedded}, recorded ${stamped}, failed ${failed})`);
+  }
+
+  console.log(`🎉 Done: ${reembedded} re-embedded, ${stamped} recorded as ${target.model}, ${failed} failed`);
+  console.log('ℹ️ Set EMBEDDING_MODEL to the new model, make sure the Atlas index numDimensions matches, and restart servers using the local vector store');
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Re-embed failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closeEmbeddingWorkers();
+    await mongoose.disconnect();
+  });
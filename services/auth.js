@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import ApiKey from '../models/ApiKey.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('auth');
+
+// Requests authenticate with an API key (`x-api-key` header or
+// `Authorization: Bearer vdr_...`) or a JWT signed with JWT_SECRET
+// (`Authorization: Bearer <jwt>`). Either resolves to { tenant, role }, and
+// every document, chunk, job and conversation is scoped to that tenant.
+
+export const DEFAULT_TENANT = process.env.DEFAULT_TENANT || 'default';
+export const ROLES = ['user', 'admin'];
+
+const KEY_PREFIX = 'vdr_';
+const TENANT_PATTERN = /^[\w.-]{1,64}$/;
+const JWT_TENANT_CLAIM = process.env.JWT_TENANT_CLAIM || 'tenant';
+const LAST_USED_WRITE_MS = 60 * 1000;
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+export function validateTenant(tenant) {
+  if (typeof tenant !== 'string' || !TENANT_PATTERN.test(tenant)) {
+    throw authError(400, 'tenant must be 1-64 letters, digits, "_", "-" or "."');
+  }
+  return tenant;
+}
+
+// Returns the new key in clear text once; only its hash is stored
+export async function createApiKey({ name, tenant, role = 'user' } = {}) {
+  validateTenant(tenant);
+  if (!ROLES.includes(role)) {
+    throw authError(400, `Invalid role "${role}". Expected one of: ${ROLES.join(', ')}`);
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = await ApiKey.create({
+    name,
+    tenant,
+    role,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6)
+  });
+  return { key, apiKey: toApiKeyResponse(record.toObject()) };
+}
+
+export function toApiKeyResponse(record) {
+  return {
+    id: record._id,
+    name: record.name,
+    tenant: record.tenant,
+    role: record.role,
+    prefix: record.prefix,
+    createdAt: record.createdAt,
+    lastUsedAt: record.lastUsedAt,
+    revokedAt: record.revokedAt
+  };
+}
+
+export async function listApiKeys({ tenant, includeRevoked = false } = {}) {
+  const filter = {};
+  if (tenant) filter.tenant = tenant;
+  if (!includeRevoked) filter.revokedAt = null;
+  const keys = await ApiKey.find(filter).sort({ createdAt: -1 }).lean();
+  return keys.map(toApiKeyResponse);
+}
+
+// Revoked keys stop authenticating right away; the record is kept for auditing
+export async function revokeApiKey(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const record = await ApiKey.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  ).lean() || await ApiKey.findById(id).lean();
+  return record && toApiKeyResponse(record);
+}
+
+async function authenticateApiKey(key) {
+  // Bootstrap admin key from the environment, used to create the first keys
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (adminKey && safeEqual(key, adminKey)) {
+    return { tenant: DEFAULT_TENANT, role: 'admin', method: 'admin_key' };
+  }
+
+  const record = await ApiKey.findOne({ keyHash: hashKey(key) }).lean();
+  if (!record || record.revokedAt) throw authError(401, 'Invalid or revoked API key');
+
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_WRITE_MS) {
+    ApiKey.updateOne({ _id: record._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(err => logger.warn('Failed to update API key usage', { error: err.message }));
+  }
+  return { tenant: record.tenant, role: record.role, keyId: String(record._id), method: 'api_key' };
+}
+
+function authenticateJwt(token) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw authError(401, 'JWT authentication is not configured');
+
+  let claims;
+  try {
+    claims = jwt.verify(token, secret, {
+      algorithms: ['HS256', 'HS384', 'HS512'],
+      ...(process.env.JWT_ISSUER && { issuer: process.env.JWT_ISSUER }),
+      ...(process.env.JWT_AUDIENCE && { audience: process.env.JWT_AUDIENCE })
+    });
+  } catch (error) {
+    throw authError(401, `Invalid token: ${error.message}`);
+  }
+
+  const tenant = claims[JWT_TENANT_CLAIM];
+  if (typeof tenant !== 'string' || !TENANT_PATTERN.test(tenant)) {
+    throw authError(403, `Token has no valid "${JWT_TENANT_CLAIM}" claim`);
+  }
+  const role = ROLES.includes(claims.role) ? claims.role : 'user';
+  return { tenant, role, subject: claims.sub, method: 'jwt' };
+}
+
+// `access_token` in the query string covers EventSource, which can't set headers
+function credentialsFrom(req) {
+  const header = req.headers.authorization || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(header)?.[1]?.trim();
+  return req.headers['x-api-key'] || bearer || req.query?.access_token || null;
+}
+
+// Resolve a request's credentials to { tenant, role, ... }
+export async function authenticate(req) {
+  if (isAuthDisabled()) return { tenant: DEFAULT_TENANT, role: 'admin', method: 'none' };
+
+  const credentials = credentialsFrom(req);
+  if (!credentials) throw authError(401, 'Authentication required: send an API key (x-api-key) or a Bearer token');
+
+  // JWTs are three base64url segments; everything else is treated as an API key
+  return credentials.split('.').length === 3
+    ? authenticateJwt(credentials)
+    : authenticateApiKey(credentials);
+}
+
+// Express middleware: sets req.auth or answers 401/403
+export async function requireAuth(req, res, next) {
+  try {
+    req.auth = await authenticate(req);
+    next();
+  } catch (e) {
+    if (!e.status) logger.error('Authentication error', e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+}
+
+// Mount after requireAuth
+export function requireAdmin(req, res, next) {
+  if (req.auth?.role !== 'admin') {
+    return res.status(403).json({ ok: false, error: 'Admin access required' });
+  }
+  next();
+}
@@ -0,0 +1,250 @@
+import sharp from 'sharp';
+
+// Approximate chart data recovery from OCR word positions plus the rendered
+// pixels. Words are { text, bbox } in the pixel space of the image buffer.
+// Handles the common single-series bar/line layout: numeric y-axis ticks on
+// the left, category labels under the plot, legend entries next to swatches.
+
+const NUMBER_RE = /^[-+]?[$€£₹]?\d[\d,]*(\.\d+)?\s*[%kKmMbB]?$/;
+
+function parseNumber(text) {
+  const clean = text.replace(/[$€£₹,\s]/g, '');
+  const match = /^([-+]?\d*\.?\d+)([%kKmMbB]?)$/.exec(clean);
+  if (!match) return null;
+  const multipliers = { k: 1e3, m: 1e6, b: 1e9 };
+  return Number(match[1]) * (multipliers[match[2].toLowerCase()] || 1);
+}
+
+const centerX = w => (w.bbox[0] + w.bbox[2]) / 2;
+const centerY = w => (w.bbox[1] + w.bbox[3]) / 2;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Group words into text lines, then merge close words into phrases
+function groupLines(words, lineHeight) {
+  const lines = [];
+  for (const word of [...words].sort((a, b) => centerY(a) - centerY(b))) {
+    const line = lines.find(l => Math.abs(l.y - centerY(word)) <= lineHeight * 0.5);
+    if (line) line.words.push(word);
+    else lines.push({ y: centerY(word), words: [word] });
+  }
+  return lines.map(line => {
+    const sorted = line.words.sort((a, b) => a.bbox[0] - b.bbox[0]);
+    const phrases = [];
+    for (const word of sorted) {
+      const last = phrases[phrases.length - 1];
+      if (last && word.bbox[0] - last.bbox[2] < lineHeight * 1.2) {
+        last.text += ` ${word.text}`;
+        last.bbox = [last.bbox[0], Math.min(last.bbox[1], word.bbox[1]), word.bbox[2], Math.max(last.bbox[3], word.bbox[3])];
+        last.words.push(word);
+      } else {
+        phrases.push({ text: word.text, bbox: [...word.bbox], words: [word] });
+      }
+    }
+    return { y: line.y, phrases };
+  });
+}
+
+// Least-squares fit value = a * y + b over the y-axis tick labels
+function fitAxis(ticks) {
+  const n = ticks.length;
+  const meanY = ticks.reduce((s, t) => s + t.y, 0) / n;
+  const meanV = ticks.reduce((s, t) => s + t.value, 0) / n;
+  let num = 0, den = 0;
+  for (const t of ticks) {
+    num += (t.y - meanY) * (t.value - meanV);
+    den += (t.y - meanY) ** 2;
+  }
+  if (!den) return null;
+  const a = num / den;
+  return { a, b: meanV - a * meanY };
+}
+
+function findYAxisTicks(words, width) {
+  const numeric = words
+    .filter(w => NUMBER_RE.test(w.text) && centerX(w) < width * 0.35)
+    .map(w => ({ word: w, value: parseNumber(w.text), y: centerY(w) }))
+    .filter(t => t.value !== null);
+  if (numeric.length < 2) return [];
+
+  // Tick labels are right-aligned against the axis
+  const right = median(numeric.map(t => t.word.bbox[2]));
+  const tolerance = median(numeric.map(t => t.word.bbox[3] - t.word.bbox[1])) * 1.5;
+  const ticks = numeric.filter(t => Math.abs(t.word.bbox[2] - right) <= tolerance);
+  return ticks.length >= 2 ? ticks.sort((a, b) => a.y - b.y) : [];
+}
+
+function colorAt(pixels, x, y) {
+  const { data, info } = pixels;
+  const xi = Math.round(x), yi = Math.round(y);
+  if (xi < 0 || yi < 0 || xi >= info.width || yi >= info.height) return null;
+  const i = (yi * info.width + xi) * info.channels;
+  return [data[i], data[i + 1], data[i + 2]];
+}
+
+function isColored(rgb) {
+  if (!rgb) return false;
+  const [r, g, b] = rgb;
+  const saturation = Math.max(r, g, b) - Math.min(r, g, b);
+  return saturation > 40 || (r + g + b < 300 && saturation > 15);
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(c => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function colorDistance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+// Scan a column upward from the baseline: a colored run starting at the
+// baseline is a bar, otherwise the topmost colored pixel is a line point
+function measureColumn(pixels, x, baseline, top) {
+  let barTop = null;
+  let barColor = null;
+  for (let y = baseline - 2; y >= top; y--) {
+    const rgb = colorAt(pixels, x, y);
+    if (isColored(rgb)) {
+      barTop = y;
+      barColor = barColor || rgb;
+    } else if (barTop !== null || y < baseline - 6) {
+      break;
+    }
+  }
+  if (barTop !== null) return { kind: 'bar', y: barTop, color: barColor };
+
+  for (let y = top; y < baseline - 2; y++) {
+    const rgb = colorAt(pixels, x, y);
+    if (isColored(rgb)) return { kind: 'line', y, color: rgb };
+  }
+  return null;
+}
+
+function findLegend(pixels, phrases, lineHeight) {
+  const legend = [];
+  for (const phrase of phrases) {
+    // Swatch: colored pixels just left of the label, vertically centered
+    const y = (phrase.bbox[1] + phrase.bbox[3]) / 2;
+    for (let dx = 2; dx <= lineHeight * 2; dx++) {
+      const rgb = colorAt(pixels, phrase.bbox[0] - dx, y);
+      if (isColored(rgb)) {
+        legend.push({ label: phrase.text, color: toHex(rgb), rgb, phrase });
+        break;
+      }
+    }
+  }
+  return legend;
+}
+
+// Returns { chartType, title, xAxis, yAxis, legend, series } or null when the
+// layout isn't recognised
+export async function analyzeChart(imageBuffer, words) {
+  const positioned = words.filter(w => w.bbox && w.text);
+  if (positioned.length < 3) return null;
+
+  const pixels = await sharp(imageBuffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width } = pixels.info;
+  const lineHeight = median(positioned.map(w => w.bbox[3] - w.bbox[1])) || 10;
+
+  const ticks = findYAxisTicks(positioned, width);
+  const axis = ticks.length >= 2 ? fitAxis(ticks) : null;
+  const tickWords = new Set(ticks.map(t => t.word));
+
+  const plotTop = ticks.length ? ticks[0].y : 0;
+  const zeroY = axis && axis.a ? -axis.b / axis.a : null;
+  const lowestTick = ticks.length ? ticks[ticks.length - 1].y : null;
+  const baseline = zeroY !== null && zeroY >= plotTop && zeroY <= lowestTick + lineHeight ? zeroY : lowestTick;
+  const plotLeft = ticks.length ? Math.max(...ticks.map(t => t.word.bbox[2])) : 0;
+
+  const lines = groupLines(positioned.filter(w => !tickWords.has(w)), lineHeight);
+
+  // Category labels: first text line under the plot baseline
+  const categoryLine = baseline !== null
+    ? lines.find(l => l.y > baseline && l.y - baseline <= lineHeight * 3 && l.phrases.every(p => p.bbox[0] >= plotLeft - lineHeight))
+    : null;
+  const categories = categoryLine ? categoryLine.phrases : [];
+
+  // X axis title: the line right under the categories
+  const xTitleLine = categoryLine
+    ? lines.find(l => l.y > categoryLine.y && l.y - categoryLine.y <= lineHeight * 3)
+    : null;
+
+  // Y axis title: text left of the tick labels
+  const tickLeft = ticks.length ? Math.min(...ticks.map(t => t.word.bbox[0])) : 0;
+  const yTitleWords = ticks.length
+    ? positioned.filter(w => !tickWords.has(w) && w.bbox[2] < tickLeft - 2 && centerY(w) >= plotTop - lineHeight && centerY(w) <= baseline)
+    : [];
+
+  // Title: the tallest line above the plot area
+  const aboveLines = lines.filter(l => l.y < plotTop - lineHeight * 0.5);
+  const titleLine = aboveLines.sort((a, b) =>
+    median(b.phrases.flatMap(p => p.words.map(w => w.bbox[3] - w.bbox[1]))) -
+    median(a.phrases.flatMap(p => p.words.map(w => w.bbox[3] - w.bbox[1]))) || a.y - b.y
+  )[0];
+
+  const used = new Set([categoryLine, xTitleLine, titleLine].filter(Boolean).flatMap(l => l.phrases.flatMap(p => p.words)));
+  yTitleWords.forEach(w => used.add(w));
+  const otherPhrases = lines.flatMap(l => l.phrases).filter(p => p.words.every(w => !used.has(w)));
+  const legend = findLegend(pixels, otherPhrases, lineHeight);
+
+  // Data points, one per category
+  const points = [];
+  let chartType = 'unknown';
+  if (axis && baseline !== null) {
+    for (const category of categories) {
+      const measured = measureColumn(pixels, centerX(category), baseline, plotTop - lineHeight);
+      if (!measured) continue;
+      chartType = chartType === 'unknown' ? measured.kind : chartType;
+      const value = axis.a * measured.y + axis.b;
+      const series = legend.length
+        ? legend.reduce((best, l) => colorDistance(l.rgb, measured.color) < colorDistance(best.rgb, measured.color) ? l : best).label
+        : null;
+      points.push({ x: category.text, y: Math.round(value * 100) / 100, series, color: toHex(measured.color) });
+    }
+  }
+
+  const seriesNames = [...new Set(points.map(p => p.series))];
+  const series = seriesNames.map(name => ({
+    name: name || 'Series 1',
+    points: points.filter(p => p.series === name).map(({ x, y, color }) => ({ x, y, color }))
+  }));
+
+  const chart = {
+    chartType,
+    title: titleLine ? titleLine.phrases.map(p => p.text).join(' ') : null,
+    xAxis: { label: xTitleLine ? xTitleLine.phrases.map(p => p.text).join(' ') : null, categories: categories.map(c => c.text) },
+    yAxis: {
+      label: yTitleWords.length ? yTitleWords.map(w => w.text).join(' ') : null,
+      ticks: ticks.map(t => t.value)
+    },
+    legend: legend.map(({ label, color }) => ({ label, color })),
+    series
+  };
+
+  const hasContent = chart.title || chart.xAxis.categories.length || chart.legend.length || points.length;
+  return hasContent ? chart : null;
+}
+
+// Plain-text rendering indexed (and embedded) alongside the structured data
+export function renderChartText(chart) {
+  const lines = [`Chart${chart.chartType !== 'unknown' ? ` (${chart.chartType})` : ''}: ${chart.title || 'untitled'}`];
+  if (chart.xAxis.label || chart.xAxis.categories.length) {
+    lines.push(`X axis: ${chart.xAxis.label || 'unlabelled'}${chart.xAxis.categories.length ? ` (${chart.xAxis.categories.join(', ')})` : ''}`);
+  }
+  if (chart.yAxis.label || chart.yAxis.ticks.length) {
+    const range = chart.yAxis.ticks.length ? ` (${Math.min(...chart.yAxis.ticks)} to ${Math.max(...chart.yAxis.ticks)})` : '';
+    lines.push(`Y axis: ${chart.yAxis.label || 'unlabelled'}${range}`);
+  }
+  if (chart.legend.length) {
+    lines.push(`Legend: ${chart.legend.map(l => l.label).join(', ')}`);
+  }
+  for (const s of chart.series) {
+    if (!s.points.length) continue;
+    lines.push(`${s.name} values (approximate): ${s.points.map(p => `${p.x} = ${p.y}`).join('; ')}`);
+  }
+  return lines.join('\n');
+}
@@ -1,28 +1,308 @@
-export function chunkText(text, { source, page, type='text', maxLen=800, overlap=120 }) {
-  const words = text.split(/\s+/);
-  const chunks = [];
-  let i = 0, idx = 0;
+import { AutoTokenizer } from '@huggingface/transformers';
+import { boxesForRange } from './layout.js';
+import { parseCSVLine } from './tables.js';
+import { embedTexts, getEmbeddingModelInfo } from './embedding.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('chunk');
+
+export const CHUNK_STRATEGIES = ['fixed', 'recursive', 'semantic'];
+
+const DEFAULT_STRATEGY = process.env.CHUNK_STRATEGY || 'recursive';
+const OVERLAP_TOKENS = Number(process.env.CHUNK_OVERLAP_TOKENS || 32);
+const SEMANTIC_THRESHOLD = Number(process.env.SEMANTIC_CHUNK_THRESHOLD || 0.55);
+const SPECIAL_TOKENS = 2; // [CLS] and [SEP]
+
+let tokenizer = null;
+const wordTokenCache = new Map();
+
+// Strategy per chunk type, e.g. CHUNK_STRATEGY_BY_TYPE={"certificate_ocr":"fixed"}
+function strategiesByType() {
+  try {
+    return JSON.parse(process.env.CHUNK_STRATEGY_BY_TYPE || '{}');
+  } catch {
+    logger.warn('Ignoring invalid CHUNK_STRATEGY_BY_TYPE');
+    return {};
+  }
+}
+
+// Upload option first, then the per-type default, then CHUNK_STRATEGY
+export function resolveChunkStrategy(type, requested) {
+  const strategy = requested || strategiesByType()[type] || DEFAULT_STRATEGY;
+  if (!CHUNK_STRATEGIES.includes(strategy)) {
+    const error = new Error(`Invalid chunking strategy "${strategy}". Expected one of: ${CHUNK_STRATEGIES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return strategy;
+}
+
+// Chunks must fit in the embedding model's input, special tokens included
+function maxChunkTokens() {
+  const modelLimit = getEmbeddingModelInfo().maxTokens - SPECIAL_TOKENS;
+  return Math.min(Number(process.env.CHUNK_MAX_TOKENS || modelLimit), modelLimit);
+}
+
+async function loadTokenizer() {
+  if (!tokenizer) {
+    try {
+      tokenizer = await AutoTokenizer.from_pretrained(getEmbeddingModelInfo().model);
+    } catch (error) {
+      // Fall back to a word-based estimate rather than failing ingestion
+      logger.warn('Failed to load tokenizer, estimating token counts', { error: error.message });
+      tokenizer = { tokenize: word => new Array(Math.ceil(word.length / 4) || 1) };
+    }
+  }
+  return tokenizer;
+}
+
+// The embedding tokenizer pre-splits on whitespace, so a span's token count
+// is the sum over its words (cached per word)
+function createCounter(tok) {
+  const countWord = word => {
+    let n = wordTokenCache.get(word);
+    if (n === undefined) {
+      n = tok.tokenize(word).length;
+      if (wordTokenCache.size > 50000) wordTokenCache.clear();
+      wordTokenCache.set(word, n);
+    }
+    return n;
+  };
+  return text => (text.match(/\S+/g) || []).reduce((sum, word) => sum + countWord(word), 0);
+}
+
+function trimSpan(text, [start, end]) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return [start, end];
+}
+
+// Split [start, end) at every match of `separator`, keeping offsets
+function splitSpan(text, [start, end], separator) {
+  const spans = [];
+  const slice = text.slice(start, end);
+  let last = 0;
+  for (const match of slice.matchAll(separator)) {
+    spans.push([start + last, start + match.index]);
+    last = match.index + match[0].length;
+  }
+  spans.push([start + last, end]);
+  return spans.map(s => trimSpan(text, s)).filter(([s, e]) => e > s);
+}
+
+function splitSentences(text, [start, end]) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+  return [...segmenter.segment(text.slice(start, end))]
+    .map(seg => trimSpan(text, [start + seg.index, start + seg.index + seg.segment.length]))
+    .filter(([s, e]) => e > s);
+}
+
+// Lines that look like headings: markdown, numbered ("2.1 Results") or short all-caps
+function isHeading(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 80 || /[.:;,]$/.test(trimmed)) return false;
+  return /^#{1,6}\s/.test(trimmed) ||
+    /^\d+(\.\d+)*\.?\s+\p{Lu}/u.test(trimmed) ||
+    (/\p{L}/u.test(trimmed) && trimmed === trimmed.toUpperCase() && trimmed.split(/\s+/).length <= 10);
+}
+
+// Sections start at heading lines
+function splitSections(text) {
+  const sections = [];
+  let start = 0;
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    if (isHeading(line) && offset > start) {
+      sections.push([start, offset]);
+      start = offset;
+    }
+    offset += line.length + 1;
+  }
+  sections.push([start, text.length]);
+  return sections.map(s => trimSpan(text, s)).filter(([s, e]) => e > s);
+}
+
+// Token windows over whole words with `overlap` tokens carried over
+function fixedWindows(text, span, count, maxTokens, overlap) {
+  const words = splitSpan(text, span, /\s+/g);
+  const windows = [];
+  let i = 0;
   while (i < words.length) {
-    const window = words.slice(i, i+maxLen);
-    const ctext = window.join(' ');
-    chunks.push({
-      source, page, type, text: ctext, metadata: {}
-    });
-    idx++; i += Math.max(1, maxLen - overlap);
+    let tokens = 0;
+    let j = i;
+    while (j < words.length && (j === i || tokens + count(text.slice(...words[j])) <= maxTokens)) {
+      tokens += count(text.slice(...words[j]));
+      j++;
+    }
+    windows.push([words[i][0], words[j - 1][1]]);
+    if (j >= words.length) break;
+
+    // Step back over trailing words worth at most `overlap` tokens
+    let back = j;
+    let carried = 0;
+    while (back - 1 > i && carried + count(text.slice(...words[back - 1])) <= overlap) {
+      back--;
+      carried += count(text.slice(...words[back]));
+    }
+    i = back;
   }
-  return chunks;
+  return windows;
+}
+
+// Greedily join neighbouring spans while they fit
+function mergeSpans(text, spans, count, maxTokens) {
+  const merged = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && count(text.slice(last[0], span[1])) <= maxTokens) {
+      last[1] = span[1];
+    } else {
+      merged.push([...span]);
+    }
+  }
+  return merged;
+}
+
+// Paragraphs, then lines, then sentences, then token windows
+const SPLITTERS = [
+  (text, span) => splitSpan(text, span, /\n\s*\n/g),
+  (text, span) => splitSpan(text, span, /\n/g),
+  splitSentences
+];
+
+function recursiveSplit(text, span, count, maxTokens, level = 0) {
+  if (count(text.slice(...span)) <= maxTokens) return [span];
+  if (level >= SPLITTERS.length) return fixedWindows(text, span, count, maxTokens, 0);
+
+  const pieces = SPLITTERS[level](text, span);
+  if (pieces.length <= 1) return recursiveSplit(text, span, count, maxTokens, level + 1);
+  const split = pieces.flatMap(piece => recursiveSplit(text, piece, count, maxTokens, level + 1));
+  return mergeSpans(text, split, count, maxTokens);
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / ((Math.sqrt(na) * Math.sqrt(nb)) || 1);
+}
+
+// Sentences grouped until the next one drifts away in embedding space
+async function semanticSpans(text, count, maxTokens) {
+  const sentences = splitSentences(text, [0, text.length])
+    .flatMap(span => recursiveSplit(text, span, count, maxTokens, SPLITTERS.length));
+  if (sentences.length <= 1) return sentences;
+
+  const vectors = await embedTexts(sentences.map(span => text.slice(...span)));
+  const spans = [[...sentences[0]]];
+  for (let i = 1; i < sentences.length; i++) {
+    const last = spans[spans.length - 1];
+    const similar = vectors[i - 1] && vectors[i] && cosine(vectors[i - 1], vectors[i]) >= SEMANTIC_THRESHOLD;
+    if (similar && count(text.slice(last[0], sentences[i][1])) <= maxTokens) {
+      last[1] = sentences[i][1];
+    } else {
+      spans.push([...sentences[i]]);
+    }
+  }
+  return spans;
+}
+
+// Split text into chunk records sized in embedding-model tokens.
+// strategy: fixed | recursive | semantic (see resolveChunkStrategy).
+// words/spans: optional layout (see layoutText) used to attach word boxes.
+// Every chunk records its character offsets within `text`.
+export async function chunkText(text, { source, page, type='text', strategy, maxTokens, overlap=OVERLAP_TOKENS, words = null, spans: wordSpans = null, pageSize = null }) {
+  const count = createCounter(await loadTokenizer());
+  const limit = Math.min(maxTokens || maxChunkTokens(), maxChunkTokens());
+  const chosen = resolveChunkStrategy(type, strategy);
+
+  let spans;
+  if (chosen === 'fixed') {
+    spans = fixedWindows(text, trimSpan(text, [0, text.length]), count, limit, overlap);
+  } else if (chosen === 'semantic') {
+    spans = await semanticSpans(text, count, limit);
+  } else {
+    spans = splitSections(text).flatMap(section => recursiveSplit(text, section, count, limit));
+  }
+
+  return spans.map(([start, end]) => {
+    const metadata = {
+      strategy: chosen,
+      offsets: { start, end },
+      tokenCount: count(text.slice(start, end)) + SPECIAL_TOKENS
+    };
+    if (words && wordSpans) {
+      metadata.boxes = boxesForRange(words, wordSpans, start, end);
+      if (pageSize) metadata.pageSize = pageSize;
+    }
+    return { source, page, type, text: text.slice(start, end), metadata };
+  });
 }
 
-export function chunkTableCSV(csvText, { source, page }) {
-  // Split big CSV into row windows
+const TABLE_MAX_ROWS = 25;
+const TABLE_PREFIX = 'Table snippet:';
+
+// Split a CSV table into windows of up to TABLE_MAX_ROWS rows that fit the
+// embedding model's input with the header repeated in each, so wide tables
+// aren't truncated at embedding time. A row too long for one window on its
+// own is split into token windows (metadata.rowPart counts its pieces).
+// metadata: extra fields merged into every table chunk (e.g. boxes, pageSize)
+export async function chunkTableCSV(csvText, { source, page, metadata = {}, maxTokens }) {
+  const count = createCounter(await loadTokenizer());
+  const limit = Math.min(maxTokens || maxChunkTokens(), maxChunkTokens());
   const rows = csvText.split(/\r?\n/);
-  const header = rows.shift() || '';
-  const maxRows = 25;
-  const chunks = [];
-  for (let i=0; i<rows.length; i+=maxRows) {
-    const slice = rows.slice(i, i+maxRows);
-    const text = `Table snippet:\n${header}\n${slice.join('\n')}`;
-    chunks.push({ source, page, type: 'table', text, metadata: { header } });
+  let header = rows.shift() || '';
+  const columns = parseCSVLine(header);
+
+  // A header wider than half the window is cut so rows still fit next to it
+  if (count(header) > limit / 2) {
+    header = header.slice(...fixedWindows(header, trimSpan(header, [0, header.length]), count, Math.floor(limit / 2), 0)[0]);
   }
+  const budget = limit - count(`${TABLE_PREFIX}\n${header}`);
+
+  const chunks = [];
+  const push = (lines, rowOffset, extra = {}) => {
+    const text = `${TABLE_PREFIX}\n${header}\n${lines.join('\n')}`;
+    chunks.push({
+      source, page, type: 'table', text,
+      metadata: {
+        ...metadata,
+        header,
+        columns,
+        rows: extra.rows || lines.map(parseCSVLine),
+        rowOffset,
+        tokenCount: count(text) + SPECIAL_TOKENS,
+        ...(extra.rowPart !== undefined && { rowPart: extra.rowPart })
+      }
+    });
+  };
+
+  let window = [];
+  let windowStart = 0;
+  let windowTokens = 0;
+  const flush = () => {
+    if (window.length) push(window, windowStart);
+    window = [];
+    windowTokens = 0;
+  };
+
+  rows.forEach((row, i) => {
+    if (!row.trim()) return;
+    const tokens = count(row);
+    if (tokens > budget) {
+      flush();
+      fixedWindows(row, trimSpan(row, [0, row.length]), count, budget, 0)
+        .forEach((span, part) => push([row.slice(...span)], i, { rows: [parseCSVLine(row)], rowPart: part }));
+      return;
+    }
+    if (window.length >= TABLE_MAX_ROWS || windowTokens + tokens > budget) flush();
+    if (!window.length) windowStart = i;
+    window.push(row);
+    windowTokens += tokens;
+  });
+  flush();
   return chunks;
-}
\ No newline at end of file
+}
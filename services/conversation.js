@@ -0,0 +1,139 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import { getLLMClient, getLLMConfig } from './generation.js';
+import { buildRewriteMessages } from './prompts.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('conversation');
+
+const HISTORY_TURNS = 4; // turns of history used for rewriting and answering
+
+const FOLLOW_UP_START = /^(and|but|also|so|then|what about|how about|and what|what else)\b/i;
+const FOLLOW_UP_REFERENCE = /\b(it|its|they|them|their|this|that|these|those|he|she|him|his|her|there|same|above|previous)\b/i;
+// Short fragments that only make sense after an earlier question ("why?",
+// "how much?", "in 2023?"); short standalone requests ("Summarize the
+// invoice") don't start like this
+const FOLLOW_UP_FRAGMENT = /^(why|when|where|who|which|how|in|for|from|during|since|until|before|after|by)\b/i;
+
+function notFound() {
+  const error = new Error('Conversation not found');
+  error.status = 404;
+  return error;
+}
+
+export function isFollowUp(question) {
+  const trimmed = question.trim();
+  return FOLLOW_UP_START.test(trimmed) ||
+    FOLLOW_UP_REFERENCE.test(trimmed) ||
+    (trimmed.split(/\s+/).length < 4 && FOLLOW_UP_FRAGMENT.test(trimmed));
+}
+
+// Without an LLM: keep the follow-up wording and append the question that
+// set the subject, i.e. the latest one that wasn't itself a follow-up. Only
+// original questions are used, so the suffix never nests turn after turn.
+function heuristicRewrite(history, question) {
+  const subjectTurn = [...history].reverse().find(turn => !isFollowUp(turn.question)) || history[history.length - 1];
+  const subject = subjectTurn.question;
+  const stripped = question.trim().replace(FOLLOW_UP_START, '').trim() || question.trim();
+  return `${stripped} (regarding: ${subject})`;
+}
+
+// Turn a follow-up question into a standalone query using the conversation history
+export async function rewriteFollowUp(history, question) {
+  if (!history.length || !isFollowUp(question)) return question;
+
+  const recent = history.slice(-HISTORY_TURNS);
+  const llm = getLLMClient();
+  if (llm) {
+    try {
+      const config = getLLMConfig();
+      const completion = await llm.chat.completions.create({
+        model: config.model,
+        messages: buildRewriteMessages(recent, question),
+        temperature: 0,
+        max_tokens: 128
+      });
+      const rewritten = completion.choices?.[0]?.message?.content?.trim();
+      if (rewritten) return rewritten;
+    } catch (error) {
+      logger.warn('Follow-up rewrite failed, using heuristic rewrite', { error: error.message });
+    }
+  }
+
+  return heuristicRewrite(recent, question);
+}
+
+export async function createConversation({ title, tenant } = {}) {
+  const conversation = await Conversation.create({ title, tenant });
+  return conversation.toObject();
+}
+
+export async function listConversations(tenant) {
+  const conversations = await Conversation.aggregate([
+    { $match: { tenant } },
+    { $sort: { updatedAt: -1 } },
+    {
+      $project: {
+        title: 1,
+        createdAt: 1,
+        updatedAt: 1,
+        turnCount: { $size: '$turns' }
+      }
+    }
+  ]);
+  return conversations.map(({ _id, ...rest }) => ({ id: _id, ...rest }));
+}
+
+// Conversations of other tenants look like missing ones
+export async function getConversation(id, tenant) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Conversation.findOne({ _id: id, tenant }).lean();
+}
+
+export async function deleteConversation(id, tenant) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Conversation.findOneAndDelete({ _id: id, tenant }).lean();
+}
+
+// Load the conversation and rewrite the question for retrieval. history is
+// the recent turns, for the answer step.
+export async function prepareConversationQuery(conversationId, question, tenant) {
+  const conversation = await getConversation(conversationId, tenant);
+  if (!conversation) throw notFound();
+
+  const standaloneQuestion = await rewriteFollowUp(conversation.turns, question);
+  if (standaloneQuestion !== question) {
+    logger.debug('Rewrote follow-up question', { standaloneQuestion });
+  }
+  return { conversation, standaloneQuestion, history: conversation.turns.slice(-HISTORY_TURNS) };
+}
+
+export async function recordTurn(conversationId, { question, standaloneQuestion, answer, contexts = [] }) {
+  const turn = {
+    question,
+    standaloneQuestion,
+    answer,
+    contexts: contexts.map(c => ({
+      docId: c.docId,
+      source: c.source ? path.basename(c.source) : c.source,
+      page: c.page,
+      type: c.type,
+      score: c.score
+    }))
+  };
+
+  const updated = await Conversation.findByIdAndUpdate(
+    conversationId,
+    { $push: { turns: turn } },
+    { new: true }
+  );
+  if (!updated) throw notFound();
+
+  // Name untitled conversations after their first question
+  if (!updated.title) {
+    updated.title = question.slice(0, 80);
+    await updated.save();
+  }
+  return updated;
+}
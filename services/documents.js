@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import Chunk from '../models/Chunk.js';
+import Document from '../models/Document.js';
+import { getVectorStore } from './vectorStore.js';
+import { removeStoredFile } from './storage.js';
+
+// docIds are global (they also name stored originals), so the random part
+// keeps uploads of the same file at the same millisecond from colliding
+export function newDocId(filename) {
+  return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${filename}`;
+}
+
+// Upload docIds are `${Date.now()}-[random-]${originalname}`; used when no Document record exists
+function filenameFromDocId(docId) {
+  const match = /^\d+-(?:[0-9a-f]{8}-)?(.+)$/.exec(docId || '');
+  return match ? match[1] : docId;
+}
+
+// Record (or refresh) the document entry for an ingested upload
+export async function recordDocument({ docId, tenant, filename, mimetype, size, storagePath, chunkCount = 0, contentHash, version, versionOf }) {
+  const fields = { tenant, filename, mimetype, size, storagePath, chunkCount };
+  if (contentHash) fields.contentHash = contentHash;
+  if (version) fields.version = version;
+  if (versionOf) fields.versionOf = versionOf;
+  // Scoped to the tenant: a docId held by another tenant fails on the unique
+  // index instead of being taken over
+  return Document.findOneAndUpdate(
+    { docId, tenant },
+    // Summaries describe the previous chunks
+    { $set: fields, $unset: { summaries: '' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+// Latest version of the tenant's document with this content, if any
+export async function findDocumentByHash(contentHash, tenant) {
+  return Document.findOne({ contentHash, tenant }).sort({ version: -1, createdAt: -1 }).lean();
+}
+
+// List every document of a tenant, built from the chunks themselves so that
+// documents ingested before Document records existed still show up
+export async function listDocuments(tenant) {
+  const groups = await Chunk.aggregate([
+    { $match: { tenant } },
+    {
+      $group: {
+        _id: '$docId',
+        chunkCount: { $sum: 1 },
+        types: { $addToSet: '$type' },
+        pages: { $addToSet: '$page' },
+        ingestedAt: { $min: '$createdAt' }
+      }
+    },
+    { $sort: { ingestedAt: -1 } }
+  ]);
+
+  const records = await Document.find({ docId: { $in: groups.map(g => g._id) }, tenant }).lean();
+  const recordsById = Object.fromEntries(records.map(r => [r.docId, r]));
+
+  return groups.map(g => {
+    const record = recordsById[g._id];
+    return {
+      docId: g._id,
+      filename: record?.filename || filenameFromDocId(g._id),
+      mimetype: record?.mimetype,
+      size: record?.size,
+      contentHash: record?.contentHash,
+      version: record?.version,
+      versionOf: record?.versionOf,
+      chunkCount: g.chunkCount,
+      types: g.types.sort(),
+      pages: g.pages.filter(p => p !== null && p !== undefined).sort((a, b) => a - b),
+      ingestedAt: record?.createdAt || g.ingestedAt
+    };
+  });
+}
+
+// Fetch a single document with all of its chunks (vectors omitted); other
+// tenants' documents look like missing ones
+export async function getDocument(docId, tenant) {
+  const [record, chunks] = await Promise.all([
+    Document.findOne({ docId, tenant }).lean(),
+    Chunk.find({ docId, tenant }, { vector: 0 }).sort({ page: 1, createdAt: 1 }).lean()
+  ]);
+
+  if (!record && !chunks.length) return null;
+
+  return {
+    docId,
+    filename: record?.filename || filenameFromDocId(docId),
+    mimetype: record?.mimetype,
+    size: record?.size,
+    contentHash: record?.contentHash,
+    version: record?.version,
+    versionOf: record?.versionOf,
+    chunkCount: chunks.length,
+    ingestedAt: record?.createdAt || chunks[0]?.createdAt,
+    extractions: record?.extractions || {},
+    chunks: chunks.map(c => ({
+      id: c._id,
+      page: c.page,
+      type: c.type,
+      text: c.text,
+      metadata: c.metadata || {}
+    }))
+  };
+}
+
+// Remove a document record and all of its chunks
+export async function deleteDocument(docId, tenant) {
+  const [record, ownsChunks] = await Promise.all([
+    Document.findOne({ docId, tenant }).lean(),
+    Chunk.exists({ docId, tenant })
+  ]);
+  if (!record && !ownsChunks) return null;
+
+  const [chunksDeleted, { deletedCount: recordsDeleted }] = await Promise.all([
+    getVectorStore().remove(docId, tenant),
+    Document.deleteOne({ docId, tenant })
+  ]);
+  removeStoredFile(record?.storagePath);
+
+  if (!chunksDeleted && !recordsDeleted) return null;
+  return { docId, chunksDeleted };
+}
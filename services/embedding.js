@@ -1,94 +1,280 @@
+import crypto from 'crypto';
+import { Worker } from 'worker_threads';
+import mongoose from 'mongoose';
 import { pipeline } from '@huggingface/transformers';
+import EmbeddingCache from '../models/EmbeddingCache.js';
+import { getEmbeddingModelConfig } from './embeddingModels.js';
+import { createLogger } from './logger.js';
+import { timed, embeddingBatchDuration, embeddingFailures } from './metrics.js';
 
-let embedder = null;
+const BATCH_SIZE = Math.max(1, Number(process.env.EMBEDDING_BATCH_SIZE || 32));
+// 0 runs inference on the main thread; N > 0 spreads batches over N worker threads
+const WORKER_COUNT = Number(process.env.EMBEDDING_WORKERS || 0);
+const CACHE_ENABLED = process.env.EMBEDDING_CACHE !== 'false';
 
-// Initialize the embedding model (only once)
-async function initializeEmbedder(progressCallback) {
-  if (!embedder) {
-    progressCallback?.('processing', '🔄', 'Loading sentence transformer model...');
-    console.log('🔄 Loading sentence transformer model...');
+const embedders = new Map(); // model name -> pipeline
+let workerPool = null;
+
+const logger = createLogger('embedding');
+
+// Load an embedding model (once per thread and model)
+export async function loadEmbedder(modelName, progressCallback) {
+  if (!embedders.has(modelName)) {
+    progressCallback?.('processing', '🔄', `Loading embedding model ${modelName}...`);
+    logger.info('Loading embedding model', { model: modelName });
     try {
-      // Use the exact model ID that works locally
-      embedder = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', {
+      embedders.set(modelName, await pipeline('feature-extraction', modelName, {
         quantized: false, // Use full precision for better quality
-      });
-      progressCallback?.('success', '✅', 'Sentence transformer model loaded successfully');
-      console.log('✅ Sentence transformer model loaded successfully');
+      }));
+      progressCallback?.('success', '✅', 'Embedding model loaded successfully');
+      logger.info('Embedding model loaded', { model: modelName });
     } catch (error) {
-      console.error('❌ Failed to load embedding model:', error);
+      logger.error('Failed to load embedding model', { model: modelName, err: error });
       progressCallback?.('error', '❌', `Failed to load embedding model: ${error.message}`);
       throw error;
     }
   }
-  return embedder;
+  return embedders.get(modelName);
+}
+
+// Embed a batch in one forward pass. If the batch fails, texts are retried one
+// by one so a single bad input doesn't sink its neighbours.
+// Returns { vectors, errors } aligned with texts (null where not applicable).
+export async function embedBatch(model, texts, { pooling = 'mean' } = {}) {
+  try {
+    const output = await model(texts, { pooling, normalize: true });
+    return { vectors: output.tolist(), errors: texts.map(() => null) };
+  } catch (batchError) {
+    if (texts.length === 1) return { vectors: [null], errors: [batchError.message] };
+
+    const vectors = [];
+    const errors = [];
+    for (const text of texts) {
+      try {
+        const output = await model(text, { pooling, normalize: true });
+        vectors.push(Array.from(output.data));
+        errors.push(null);
+      } catch (textError) {
+        vectors.push(null);
+        errors.push(textError.message);
+      }
+    }
+    return { vectors, errors };
+  }
+}
+
+// Fixed-size pool of embedding worker threads; each loads its own model copy
+function createWorkerPool(size) {
+  const idle = [];
+  const queue = [];
+  const active = new Map(); // worker -> task
+
+  const drain = () => {
+    while (idle.length && queue.length) {
+      const worker = idle.pop();
+      const task = queue.shift();
+      active.set(worker, task);
+      worker.postMessage({ texts: task.texts, model: task.model });
+    }
+  };
+
+  const spawn = () => {
+    const worker = new Worker(new URL('./embeddingWorker.js', import.meta.url));
+    worker.on('message', ({ vectors, errors, error }) => {
+      const task = active.get(worker);
+      active.delete(worker);
+      idle.push(worker);
+      if (error) task.reject(new Error(error));
+      else task.resolve({ vectors, errors });
+      drain();
+    });
+    worker.on('error', error => {
+      logger.error('Embedding worker crashed', { error: error.message });
+      const task = active.get(worker);
+      active.delete(worker);
+      const i = idle.indexOf(worker);
+      if (i >= 0) idle.splice(i, 1);
+      task?.reject(error);
+      // Replace the worker only if it died mid-task (not while loading)
+      if (task) spawn();
+      drain();
+    });
+    idle.push(worker);
+  };
+
+  for (let i = 0; i < size; i++) spawn();
+  logger.info('Started embedding workers', { workers: size });
+
+  return {
+    run: (texts, model) => new Promise((resolve, reject) => {
+      queue.push({ texts, model, resolve, reject });
+      drain();
+    }),
+    close: () => Promise.all([...idle, ...active.keys()].map(w => w.terminate()))
+  };
+}
+
+async function runBatch(texts, config, progressCallback) {
+  if (WORKER_COUNT > 0) {
+    workerPool = workerPool || createWorkerPool(WORKER_COUNT);
+    return workerPool.run(texts, config.model);
+  }
+  return embedBatch(await loadEmbedder(config.model, progressCallback), texts, config);
+}
+
+// Stop the worker threads (for scripts that should exit when done)
+export async function closeEmbeddingWorkers() {
+  if (workerPool) {
+    await workerPool.close();
+    workerPool = null;
+  }
+}
+
+// --- Content-hash cache ---
+
+function cacheKey(modelName, text) {
+  return crypto.createHash('sha256').update(`${modelName}\n${text}`).digest('hex');
 }
 
-export async function embedTexts(texts = [], progressCallback) {
+// The cache is skipped when Mongo isn't connected (scripts, tests) rather than
+// letting Mongoose buffer the queries
+function cacheAvailable() {
+  return CACHE_ENABLED && mongoose.connection.readyState === 1;
+}
+
+async function readCache(modelName, hashes) {
+  if (!cacheAvailable() || !hashes.length) return new Map();
+  try {
+    const entries = await EmbeddingCache.find({ hash: { $in: hashes }, model: modelName }, { hash: 1, vector: 1 }).lean();
+    if (entries.length) {
+      EmbeddingCache.updateMany({ hash: { $in: entries.map(e => e.hash) } }, { $set: { lastUsedAt: new Date() } })
+        .catch(() => {});
+    }
+    return new Map(entries.map(e => [e.hash, e.vector]));
+  } catch (error) {
+    logger.warn('Embedding cache lookup failed', { error: error.message });
+    return new Map();
+  }
+}
+
+async function writeCache(modelName, entries) {
+  if (!cacheAvailable() || !entries.length) return;
+  try {
+    await EmbeddingCache.bulkWrite(entries.map(({ hash, vector }) => ({
+      updateOne: {
+        filter: { hash },
+        update: { $set: { model: modelName, vector, lastUsedAt: new Date() } },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    logger.warn('Embedding cache write failed', { error: error.message });
+  }
+}
+
+// Returns one vector per input text, or null for texts that couldn't be
+// embedded (empty input or inference error). Failures are logged and reported
+// through progressCallback; callers must drop them rather than index them.
+// options.onProgress(done, total) reports batch progress; options.model
+// overrides EMBEDDING_MODEL; options.inputType ('passage' | 'query') adds the
+// prefix the model expects for that side of retrieval.
+export async function embedTexts(texts = [], progressCallback, { signal, onProgress, model, inputType = 'passage' } = {}) {
   if (!texts.length) return [];
-  
+
   try {
-    const model = await initializeEmbedder(progressCallback);
-    const embeddings = [];
-    
-    progressCallback?.('processing', '🔄', `Processing ${texts.length} texts for embedding...`);
-    console.log(`🔄 Processing ${texts.length} texts for embedding...`);
-    
-    // Process each text individually to avoid memory issues
-    for (let i = 0; i < texts.length; i++) {
-      const text = texts[i];
-      
-      // Clean and validate text
-      const cleanText = text ? text.trim().substring(0, 512) : '';
-      if (!cleanText) {
-        // Return zero vector for empty text
-        embeddings.push(new Array(384).fill(0));
-        continue;
+    const config = getEmbeddingModelConfig(model);
+    const prefix = (inputType === 'query' ? config.queryPrefix : config.passagePrefix) || '';
+    const vectors = new Array(texts.length).fill(null);
+    const failures = [];
+
+    // Identical texts are embedded once
+    const byText = new Map();
+    texts.forEach((text, i) => {
+      // Chunks are sized in model tokens; the tokenizer truncates anything longer
+      const trimmed = text ? text.trim() : '';
+      if (!trimmed) {
+        failures.push({ index: i, error: 'Empty text' });
+        return;
       }
-      
-      try {
-        // Generate embedding for this text
-        const result = await model(cleanText, { 
-          pooling: 'mean', 
-          normalize: true 
-        });
-        
-        // Convert tensor to regular array
-        const embedding = Array.from(result.data);
-        embeddings.push(embedding);
-        
-        progressCallback?.('success', '✅', `Generated embedding ${i + 1}/${texts.length}`);
-        console.log(`✅ Generated embedding ${i + 1}/${texts.length}`);
-        
-        // Small delay to prevent overwhelming the system
-        if (i < texts.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 50));
+      const clean = prefix + trimmed;
+      if (!byText.has(clean)) byText.set(clean, { hash: cacheKey(config.model, clean), indexes: [] });
+      byText.get(clean).indexes.push(i);
+    });
+
+    const unique = [...byText.entries()];
+    const cached = await readCache(config.model, unique.map(([, entry]) => entry.hash));
+    const pending = [];
+    for (const [text, entry] of unique) {
+      const vector = cached.get(entry.hash);
+      if (vector) entry.indexes.forEach(i => { vectors[i] = vector; });
+      else pending.push([text, entry]);
+    }
+
+    progressCallback?.('processing', '🔄', `Embedding ${pending.length} text(s) (${texts.length - pending.length} cached or skipped)...`);
+    logger.debug('Embedding texts', { model: config.model, pending: pending.length, cached: cached.size, batchSize: BATCH_SIZE });
+
+    const batches = [];
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      batches.push(pending.slice(i, i + BATCH_SIZE));
+    }
+
+    const fresh = [];
+    let done = 0;
+    const embedOne = async batch => {
+      signal?.throwIfAborted();
+      const { vectors: batchVectors, errors } = await timed(embeddingBatchDuration, { model: config.model }, () => (
+        runBatch(batch.map(([text]) => text), config, progressCallback)
+      ));
+      batch.forEach(([, entry], j) => {
+        if (batchVectors[j]) {
+          entry.indexes.forEach(i => { vectors[i] = batchVectors[j]; });
+          fresh.push({ hash: entry.hash, vector: batchVectors[j] });
+        } else {
+          entry.indexes.forEach(i => failures.push({ index: i, error: errors[j] }));
         }
-        
-      } catch (textError) {
-        console.error(`❌ Error processing text ${i + 1}:`, textError.message);
-        progressCallback?.('error', '❌', `Error processing text ${i + 1}: ${textError.message}`);
-        // Return zero vector for failed text
-        embeddings.push(new Array(384).fill(0));
+      });
+      done += batch.length;
+      onProgress?.(done, pending.length);
+      progressCallback?.('success', '✅', `Embedded ${done}/${pending.length} text(s)`);
+    };
+
+    if (WORKER_COUNT > 0) {
+      // The pool queues batches and runs WORKER_COUNT of them at a time
+      await Promise.all(batches.map(embedOne));
+    } else {
+      for (const batch of batches) await embedOne(batch);
+    }
+
+    await writeCache(config.model, fresh);
+
+    if (failures.length) {
+      for (const { index, error } of failures) {
+        logger.warn('Failed to embed text', { model: config.model, index, error: String(error) });
       }
+      embeddingFailures.inc({ model: config.model }, failures.length);
+      progressCallback?.('error', '⚠️', `${failures.length} text(s) could not be embedded and were skipped`);
     }
-    
-    progressCallback?.('success', '✅', `Generated ${embeddings.length} embeddings (${embeddings[0]?.length} dimensions each)`);
-    console.log(`✅ Generated ${embeddings.length} embeddings (${embeddings[0]?.length} dimensions each)`);
-    return embeddings;
-    
+
+    const embedded = vectors.filter(Boolean);
+    progressCallback?.('success', '✅', `Generated ${embedded.length} embeddings (${embedded[0]?.length} dimensions each)`);
+    logger.debug('Generated embeddings', { model: config.model, embeddings: embedded.length, dimensions: embedded[0]?.length });
+    return vectors;
+
   } catch (error) {
-    console.error('❌ Error in embedding generation:', error);
+    if (signal?.aborted) throw error;
+    logger.error('Embedding generation failed', error);
     progressCallback?.('error', '❌', `Embedding generation failed: ${error.message}`);
     throw new Error(`Embedding generation failed: ${error.message}`);
   }
 }
 
-// Utility function to get model info
-export function getEmbeddingModelInfo() {
+// Utility function to get model info (EMBEDDING_MODEL unless a name is given)
+export function getEmbeddingModelInfo(name) {
+  const { model, dimensions, maxTokens } = getEmbeddingModelConfig(name);
   return {
-    model: 'Xenova/all-MiniLM-L6-v2',
-    dimensions: 384,
-    maxTokens: 256,
+    model,
+    dimensions,
+    maxTokens,
     type: 'sentence-transformer',
     local: true
   };
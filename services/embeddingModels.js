@@ -0,0 +1,40 @@
+// Embedding models the pipeline knows how to run. The active model is picked
+// with EMBEDDING_MODEL; vectors from different models are not comparable, so
+// each chunk records the model that produced it (see scripts/reembed.js).
+//   dimensions   - vector size (the Atlas index numDimensions must match)
+//   maxTokens    - model input limit, chunks are sized to fit it
+//   pooling      - how token embeddings are reduced to one vector
+//   queryPrefix / passagePrefix - instructions some models expect on inputs
+export const EMBEDDING_MODELS = {
+  'Xenova/all-MiniLM-L6-v2': { dimensions: 384, maxTokens: 256, pooling: 'mean' },
+  'Xenova/all-MiniLM-L12-v2': { dimensions: 384, maxTokens: 256, pooling: 'mean' },
+  'Xenova/paraphrase-multilingual-MiniLM-L12-v2': { dimensions: 384, maxTokens: 128, pooling: 'mean' },
+  'Xenova/bge-small-en-v1.5': {
+    dimensions: 384,
+    maxTokens: 512,
+    pooling: 'cls',
+    queryPrefix: 'Represent this sentence for searching relevant passages: '
+  },
+  'Xenova/multilingual-e5-small': {
+    dimensions: 384,
+    maxTokens: 512,
+    pooling: 'mean',
+    queryPrefix: 'query: ',
+    passagePrefix: 'passage: '
+  },
+  'Xenova/all-mpnet-base-v2': { dimensions: 768, maxTokens: 384, pooling: 'mean' }
+};
+
+export const DEFAULT_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Chunks indexed before models were tracked carry no embeddingModel; they were
+// all produced by the original default
+export const LEGACY_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+export function getEmbeddingModelConfig(name = process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL) {
+  const config = EMBEDDING_MODELS[name];
+  if (!config) {
+    throw new Error(`Unknown embedding model "${name}". Expected one of: ${Object.keys(EMBEDDING_MODELS).join(', ')}`);
+  }
+  return { model: name, ...config };
+}
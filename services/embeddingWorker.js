@@ -0,0 +1,16 @@
+import { parentPort } from 'worker_threads';
+import { loadEmbedder, embedBatch } from './embedding.js';
+import { getEmbeddingModelConfig } from './embeddingModels.js';
+
+// Embedding worker thread (see EMBEDDING_WORKERS). Receives { texts, model }
+// and replies with { vectors, errors } from embedBatch, or { error } if the
+// model can't be loaded.
+parentPort.on('message', async ({ texts, model }) => {
+  try {
+    const config = getEmbeddingModelConfig(model);
+    const embedder = await loadEmbedder(config.model);
+    parentPort.postMessage(await embedBatch(embedder, texts, config));
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,211 @@
+import path from 'path';
+
+// Metrics for scripts/evaluate.js. A dataset line is
+//   { id?, question, expectedSources?, expectedAnswers?, filters? }
+// where expectedSources lists filenames ("report.pdf") or { source, page }
+// objects, and expectedAnswers lists acceptable short answers.
+
+// Four decimals keep reports stable enough to diff
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function datasetError(line, message) {
+  return new Error(`Dataset line ${line}: ${message}`);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Validate one parsed JSONL line and normalize its expectations
+export function parseDatasetEntry(entry, line) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw datasetError(line, 'expected a JSON object');
+  if (typeof entry.question !== 'string' || !entry.question.trim()) throw datasetError(line, 'question is required');
+
+  const expectedSources = toList(entry.expectedSources ?? entry.expectedSource).map(target => {
+    const source = typeof target === 'string' ? target : target?.source;
+    if (typeof source !== 'string' || !source) throw datasetError(line, 'expectedSources entries need a filename');
+    const page = typeof target === 'object' && target.page !== undefined ? Number(target.page) : null;
+    if (page !== null && !Number.isInteger(page)) throw datasetError(line, `invalid page for ${source}`);
+    return { source, page };
+  });
+  const expectedAnswers = toList(entry.expectedAnswers ?? entry.expectedAnswer).map(String).filter(a => a.trim());
+  if (!expectedSources.length && !expectedAnswers.length) {
+    throw datasetError(line, 'set expectedSources and/or expectedAnswers');
+  }
+
+  return {
+    id: String(entry.id ?? `q${line}`),
+    question: entry.question.trim(),
+    expectedSources,
+    expectedAnswers,
+    ...(entry.filters && { filters: entry.filters })
+  };
+}
+
+// Parse a JSONL dataset; blank lines and lines starting with # are skipped
+export function parseDataset(text) {
+  const entries = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw datasetError(i + 1, `invalid JSON (${error.message})`);
+    }
+    entries.push(parseDatasetEntry(entry, i + 1));
+  });
+
+  const ids = new Set();
+  for (const entry of entries) {
+    if (ids.has(entry.id)) throw new Error(`Duplicate dataset id "${entry.id}"`);
+    ids.add(entry.id);
+  }
+  return entries;
+}
+
+function sameSource(context, target) {
+  const source = context.source ? path.basename(context.source) : '';
+  if (source.toLowerCase() !== target.source.toLowerCase()) return false;
+  return target.page === null || context.page === target.page;
+}
+
+// recall@k: share of expected sources found in the top k contexts.
+// reciprocalRank: 1 / rank of the first context from an expected source.
+export function scoreRetrieval(contexts, expectedSources, k) {
+  const top = contexts.slice(0, k);
+  const found = expectedSources.filter(target => top.some(c => sameSource(c, target)));
+  const rank = contexts.findIndex(c => expectedSources.some(target => sameSource(c, target))) + 1;
+  return {
+    recall: round(found.length / expectedSources.length),
+    reciprocalRank: rank ? round(1 / rank) : 0,
+    firstRelevantRank: rank || null
+  };
+}
+
+// Lowercase, drop punctuation, symbols, Markdown and articles (SQuAD-style)
+export function normalizeAnswer(text) {
+  return String(text ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]/gu, ' ')
+    .replace(/\b(?:a|an|the)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenF1(prediction, truth) {
+  const predicted = prediction.split(' ').filter(Boolean);
+  const expected = truth.split(' ').filter(Boolean);
+  if (!predicted.length || !expected.length) return predicted.length === expected.length ? 1 : 0;
+
+  const counts = new Map();
+  for (const token of expected) counts.set(token, (counts.get(token) || 0) + 1);
+  let common = 0;
+  for (const token of predicted) {
+    if (counts.get(token) > 0) {
+      common++;
+      counts.set(token, counts.get(token) - 1);
+    }
+  }
+  if (!common) return 0;
+  const precision = common / predicted.length;
+  const recall = common / expected.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+// Best match against any expected answer: exact (normalized equality),
+// contains (expected answer appears in the generated one) and token F1
+export function scoreAnswer(answer, expectedAnswers) {
+  const prediction = normalizeAnswer(answer);
+  let best = { exact: false, contains: false, f1: 0 };
+  for (const expected of expectedAnswers.map(normalizeAnswer)) {
+    const contains = Boolean(expected) && ` ${prediction} `.includes(` ${expected} `);
+    best = {
+      exact: best.exact || prediction === expected,
+      contains: best.contains || contains,
+      f1: Math.max(best.f1, tokenF1(prediction, expected))
+    };
+  }
+  return { ...best, f1: round(best.f1) };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Aggregate per-question results; each metric is averaged over the questions
+// that define it (expected sources for retrieval, expected answers for
+// answers). Failed questions count with zero scores.
+export function summarizeResults(results, k) {
+  const answered = results.filter(r => !r.error);
+  const retrieval = results.filter(r => r.recall !== undefined);
+  const answers = results.filter(r => r.f1 !== undefined);
+  const latencies = answered.map(r => r.latencyMs).sort((a, b) => a - b);
+  const rate = (list, pick) => (list.length ? round(mean(list.map(pick))) : null);
+
+  return {
+    questions: results.length,
+    errors: results.length - answered.length,
+    retrieval: {
+      evaluated: retrieval.length,
+      [`recall@${k}`]: rate(retrieval, r => r.recall),
+      mrr: rate(retrieval, r => r.reciprocalRank)
+    },
+    answer: {
+      evaluated: answers.length,
+      exactMatch: rate(answers, r => Number(r.exact)),
+      containsMatch: rate(answers, r => Number(r.contains)),
+      f1: rate(answers, r => r.f1)
+    },
+    latencyMs: {
+      mean: latencies.length ? Math.round(mean(latencies)) : null,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      max: latencies.length ? latencies[latencies.length - 1] : null
+    }
+  };
+}
+
+function flattenMetrics(summary, prefix = '') {
+  return Object.entries(summary || {}).flatMap(([key, value]) => (
+    value && typeof value === 'object' ? flattenMetrics(value, `${prefix}${key}.`) : [[`${prefix}${key}`, value]]
+  ));
+}
+
+// Metric deltas between two reports, and the questions whose scores changed
+export function compareReports(baseline, report) {
+  const before = Object.fromEntries(flattenMetrics(baseline.summary));
+  const metrics = flattenMetrics(report.summary)
+    .filter(([key]) => !key.endsWith('evaluated') && key !== 'questions')
+    .map(([key, value]) => ({
+      metric: key,
+      before: before[key] ?? null,
+      after: value,
+      delta: typeof value === 'number' && typeof before[key] === 'number' ? round(value - before[key]) : null
+    }));
+
+  const previous = new Map((baseline.questions || []).map(q => [q.id, q]));
+  const scoreKeys = ['recall', 'reciprocalRank', 'exact', 'contains', 'f1'];
+  const questions = report.questions
+    .filter(q => previous.has(q.id))
+    .map(q => {
+      const old = previous.get(q.id);
+      const changes = Object.fromEntries(scoreKeys
+        .filter(key => q[key] !== undefined && q[key] !== old[key])
+        .map(key => [key, { before: old[key] ?? null, after: q[key] }]));
+      return { id: q.id, changes };
+    })
+    .filter(q => Object.keys(q.changes).length);
+
+  return { metrics, questions };
+}
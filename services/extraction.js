@@ -0,0 +1,152 @@
+import Document from '../models/Document.js';
+import { embedTexts, getEmbeddingModelInfo } from './embedding.js';
+import { checkEmbeddingModel, hybridSearch } from './query.js';
+import { resolveRetrievalOptions } from './hybrid.js';
+import { getLLMClient, getLLMConfig } from './generation.js';
+import { buildExtractionMessages } from './prompts.js';
+import { resolveExtractionSchema, validateSchemaName } from './extractionSchemas.js';
+import { extractFields, coerceValue, EMPTY_FIELD } from './fieldExtraction.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('extraction');
+
+const HITS_PER_FIELD = 3;
+const MAX_PASSAGES = 15; // passages sent to the LLM for all fields together
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+function fieldQuery(field, definition) {
+  const title = definition.title || field.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ');
+  return [title, definition.description].filter(Boolean).join(': ');
+}
+
+// Ranked chunks of the document for each field, found by hybrid search on
+// the field's title and description
+async function retrieveFieldHits(docId, tenant, schema) {
+  const fields = Object.entries(schema.properties);
+  const queries = fields.map(([field, definition]) => fieldQuery(field, definition));
+
+  const { model } = getEmbeddingModelInfo();
+  const embeddingModel = await checkEmbeddingModel(model, tenant);
+  const vectors = await embedTexts(queries, null, { inputType: 'query' });
+  const retrieval = resolveRetrievalOptions({ mode: 'hybrid' });
+  const filter = { docIds: [docId] };
+
+  const hits = await Promise.all(queries.map((query, i) => hybridSearch(
+    query,
+    vectors[i],
+    HITS_PER_FIELD,
+    // Keyword-only for a field whose query failed to embed
+    vectors[i] ? retrieval : { ...retrieval, vectorWeight: 0 },
+    filter,
+    embeddingModel,
+    tenant
+  )));
+  return Object.fromEntries(fields.map(([field], i) => [field, hits[i]]));
+}
+
+// Best hits of every field, interleaved by rank and deduplicated
+function collectPassages(hitsByField) {
+  const passages = new Map();
+  for (let rank = 0; rank < HITS_PER_FIELD; rank++) {
+    for (const hits of Object.values(hitsByField)) {
+      const hit = hits[rank];
+      if (hit && !passages.has(String(hit._id))) passages.set(String(hit._id), hit);
+    }
+  }
+  return [...passages.values()].slice(0, MAX_PASSAGES);
+}
+
+function parseJsonReply(content) {
+  const json = content.match(/\{[\s\S]*\}/)?.[0];
+  if (!json) throw new Error('LLM reply is not JSON');
+  return JSON.parse(json);
+}
+
+async function extractWithLLM(llm, schema, hitsByField) {
+  const passages = collectPassages(hitsByField);
+  const config = getLLMConfig();
+  const completion = await llm.chat.completions.create({
+    model: config.model,
+    messages: buildExtractionMessages(schema, passages),
+    temperature: 0,
+    max_tokens: Math.max(config.maxTokens, 1024)
+  });
+  const reply = parseJsonReply(completion.choices?.[0]?.message?.content || '');
+  const filled = reply.fields || reply;
+
+  return Object.fromEntries(Object.entries(schema.properties).map(([field, definition]) => {
+    const raw = filled[field];
+    const value = coerceValue(definition, raw && typeof raw === 'object' && !Array.isArray(raw) ? raw.value : raw);
+    if (value === null) return [field, { ...EMPTY_FIELD }];
+
+    const passage = passages[Number(raw?.passage) - 1] || null;
+    const confidence = Number(raw?.confidence);
+    return [field, {
+      value,
+      chunkId: passage?._id ?? null,
+      page: passage?.page ?? null,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5
+    }];
+  }));
+}
+
+// Fill a schema from one document's chunks and store the result on the
+// document under extractions.<name>. schema is a built-in schema name or a
+// JSON Schema object (stored under `name`, default "custom").
+// Returns { docId, schema, method, fields: { <field>: { value, chunkId, page, confidence } }, extractedAt }
+export async function extractDocumentFields(docId, { schema, name, tenant } = {}) {
+  const resolved = resolveExtractionSchema(schema, name);
+  const document = await Document.findOne({ docId, tenant }, { docId: 1 }).lean();
+  if (!document) throw notFound('Document not found');
+
+  logger.debug('Extracting fields', { schema: resolved.name, docId });
+  const hitsByField = await retrieveFieldHits(docId, tenant, resolved.schema);
+
+  let fields = null;
+  let method = 'heuristic';
+  const llm = getLLMClient();
+  if (llm) {
+    try {
+      fields = await extractWithLLM(llm, resolved.schema, hitsByField);
+      method = 'llm';
+    } catch (error) {
+      logger.warn('LLM extraction failed, using heuristic extraction', { error: error.message });
+    }
+  }
+  if (!fields) {
+    fields = extractFields(resolved.schema, field => hitsByField[field] || []);
+  }
+
+  const extraction = {
+    schema: resolved.name,
+    // Custom schemas are kept so stored results stay interpretable
+    ...(typeof schema !== 'string' && { definition: resolved.schema }),
+    method,
+    fields,
+    extractedAt: new Date()
+  };
+  await Document.updateOne({ docId, tenant }, { $set: { [`extractions.${resolved.name}`]: extraction } });
+
+  const filled = Object.values(fields).filter(f => f.value !== null).length;
+  logger.info('Extracted fields', { schema: resolved.name, docId, filled, fields: Object.keys(fields).length, method });
+  return { docId, ...extraction };
+}
+
+// Stored extractions of a tenant's documents, optionally for one schema or document
+export async function listExtractions({ tenant, schema, docId } = {}) {
+  const filter = { tenant, extractions: { $exists: true, $ne: {} } };
+  if (docId) filter.docId = docId;
+  if (schema) filter[`extractions.${validateSchemaName(schema)}`] = { $exists: true };
+
+  const documents = await Document.find(filter, { docId: 1, filename: 1, extractions: 1 })
+    .sort({ updatedAt: -1 })
+    .lean();
+  return documents.flatMap(d => Object.values(d.extractions || {})
+    .filter(e => !schema || e.schema === schema)
+    .map(e => ({ docId: d.docId, filename: d.filename, ...e })));
+}
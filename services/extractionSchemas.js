@@ -0,0 +1,239 @@
+// Built-in schemas for POST /api/extract. They are plain JSON Schema objects
+// (top-level properties of type string, number, integer, boolean or arrays
+// of those). `x-labels` lists the wording documents use for a field; the
+// heuristic extractor looks for a value right after one of them.
+
+const DATE = { type: 'string', format: 'date' };
+const AMOUNT = { type: 'number' };
+
+export const EXTRACTION_SCHEMAS = {
+  certificate: {
+    title: 'Certificate',
+    type: 'object',
+    properties: {
+      recipient: {
+        type: 'string',
+        title: 'Recipient',
+        description: 'Person the certificate is awarded to',
+        'x-labels': ['awarded to', 'presented to', 'certify that', 'certifies that', 'recipient', 'name']
+      },
+      issuer: {
+        type: 'string',
+        title: 'Issued By',
+        description: 'Organization that issued the certificate',
+        'x-labels': ['issued by', 'offered by', 'authorized by', 'issuer', 'organization']
+      },
+      course: {
+        type: 'string',
+        title: 'Course/Program',
+        description: 'Course, program or achievement the certificate is for',
+        'x-labels': ['course in', 'program in', 'course', 'program', 'successfully completing', 'completion of']
+      },
+      issueDate: {
+        ...DATE,
+        title: 'Date',
+        description: 'Date the certificate was issued',
+        'x-labels': ['issued on', 'date of issue', 'issue date', 'date', 'on']
+      },
+      certificateId: {
+        type: 'string',
+        title: 'Certificate ID',
+        description: 'Certificate or credential identifier',
+        pattern: '[A-Z0-9][A-Z0-9-]{4,}',
+        'x-labels': ['certificate id', 'credential id', 'certificate no', 'certificate number', 'serial no']
+      }
+    }
+  },
+
+  invoice: {
+    title: 'Invoice',
+    type: 'object',
+    properties: {
+      invoiceNumber: {
+        type: 'string',
+        title: 'Invoice Number',
+        pattern: '[A-Z0-9][A-Z0-9/-]{2,}',
+        'x-labels': ['invoice number', 'invoice no', 'invoice #', 'invoice id', 'bill no']
+      },
+      invoiceDate: { ...DATE, title: 'Invoice Date', 'x-labels': ['invoice date', 'date of issue', 'issue date', 'date'] },
+      dueDate: { ...DATE, title: 'Due Date', 'x-labels': ['due date', 'payment due', 'due by'] },
+      vendor: { type: 'string', title: 'Vendor', description: 'Seller issuing the invoice', 'x-labels': ['from', 'vendor', 'seller', 'supplier'] },
+      customer: { type: 'string', title: 'Customer', description: 'Billed party', 'x-labels': ['bill to', 'billed to', 'customer', 'sold to'] },
+      subtotal: { ...AMOUNT, title: 'Subtotal', 'x-labels': ['subtotal', 'sub total', 'net amount'] },
+      tax: { ...AMOUNT, title: 'Tax', 'x-labels': ['total tax', 'tax', 'vat', 'gst'] },
+      total: { ...AMOUNT, title: 'Total', 'x-labels': ['total due', 'amount due', 'grand total', 'balance due', 'total'] },
+      currency: {
+        type: 'string',
+        title: 'Currency',
+        pattern: '\\b(?:USD|EUR|GBP|INR|JPY|CNY|AUD|CAD)\\b|[$€£₹¥]',
+        'x-labels': ['currency']
+      }
+    }
+  },
+
+  resume: {
+    title: 'Resume',
+    type: 'object',
+    properties: {
+      name: { type: 'string', title: 'Name', description: 'Full name of the candidate', 'x-labels': ['name'] },
+      email: { type: 'string', title: 'Email', pattern: '[\\w.+-]+@[\\w-]+\\.[\\w.-]+', 'x-labels': ['email', 'e-mail'] },
+      phone: { type: 'string', title: 'Phone', pattern: '\\+?\\d[\\d\\s().-]{7,}\\d', 'x-labels': ['phone', 'mobile', 'tel'] },
+      currentTitle: { type: 'string', title: 'Current Title', 'x-labels': ['current role', 'title', 'position', 'designation'] },
+      skills: {
+        type: 'array',
+        items: { type: 'string' },
+        title: 'Skills',
+        'x-labels': ['technical skills', 'skills', 'technologies', 'tools']
+      },
+      education: { type: 'string', title: 'Education', 'x-labels': ['education', 'degree', 'qualification'] },
+      experienceYears: { type: 'number', title: 'Years of Experience', 'x-labels': ['years of experience', 'experience'] }
+    }
+  },
+
+  financial_statement: {
+    title: 'Financial statement',
+    type: 'object',
+    properties: {
+      company: { type: 'string', title: 'Company', 'x-labels': ['company', 'company name', 'entity'] },
+      period: {
+        type: 'string',
+        title: 'Period',
+        description: 'Fiscal year or quarter the statement covers',
+        pattern: '\\b(?:FY\\s?\\d{2,4}|Q[1-4]\\s?\\d{2,4}|\\d{4})\\b',
+        'x-labels': ['for the year ended', 'for the period ended', 'quarter ended', 'fiscal year', 'period']
+      },
+      currency: {
+        type: 'string',
+        title: 'Currency',
+        pattern: '\\b(?:USD|EUR|GBP|INR|JPY|CNY|AUD|CAD)\\b|[$€£₹¥]',
+        'x-labels': ['currency', 'in millions of', 'amounts in']
+      },
+      revenue: { ...AMOUNT, title: 'Revenue', 'x-labels': ['total revenue', 'revenue from operations', 'revenue', 'net sales', 'sales'] },
+      operatingIncome: { ...AMOUNT, title: 'Operating Income', 'x-labels': ['operating income', 'operating profit', 'ebit'] },
+      netIncome: { ...AMOUNT, title: 'Net Income', 'x-labels': ['net income', 'net profit', 'profit for the year', 'profit after tax'] },
+      totalAssets: { ...AMOUNT, title: 'Total Assets', 'x-labels': ['total assets'] },
+      totalLiabilities: { ...AMOUNT, title: 'Total Liabilities', 'x-labels': ['total liabilities'] },
+      equity: { ...AMOUNT, title: 'Equity', 'x-labels': ["total shareholders' equity", "shareholders' equity", 'total equity', 'equity'] }
+    }
+  }
+};
+
+const FIELD_NAME = /^[A-Za-z_]\w{0,63}$/;
+const SCALAR_TYPES = ['string', 'number', 'integer', 'boolean'];
+const MAX_FIELDS = 50;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_LABELS = 20;
+const BACKREFERENCE = /\\(?:[1-9]|k<)/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// True when a quantified group itself contains a quantifier, as in (a+)+ or
+// (\w*\s?)*, the shape behind catastrophic backtracking
+function hasNestedQuantifier(pattern) {
+  const groups = [false]; // per open group: does it contain a quantifier?
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+    if (char === '[') inClass = true;
+    else if (char === '(') groups.push(false);
+    else if (char === ')' && groups.length > 1) {
+      const quantifiedInside = groups.pop();
+      if (quantifiedInside && /^(?:[*+]|\{\d*,?\d*\})/.test(pattern.slice(i + 1))) return true;
+      if (quantifiedInside) groups[groups.length - 1] = true;
+    } else if (/[*+?{]/.test(char) && i > 0 && pattern[i - 1] !== '(') {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// Custom patterns run over every retrieved chunk, so they must be short and
+// free of the constructs that can backtrack without bound
+function validatePattern(field, pattern) {
+  if (typeof pattern !== 'string') throw badRequest(`Field "${field}" pattern must be a string`);
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw badRequest(`Field "${field}" pattern can be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  try {
+    new RegExp(pattern, 'u');
+  } catch {
+    throw badRequest(`Field "${field}" has an invalid pattern`);
+  }
+  if (BACKREFERENCE.test(pattern)) throw badRequest(`Field "${field}" pattern cannot use backreferences`);
+  if (hasNestedQuantifier(pattern)) {
+    throw badRequest(`Field "${field}" pattern cannot repeat a group that contains a quantifier`);
+  }
+}
+
+// Labels and the title are matched as lowercase text
+function validateLabels(field, definition) {
+  if (definition.title !== undefined && typeof definition.title !== 'string') {
+    throw badRequest(`Field "${field}" title must be a string`);
+  }
+  const labels = definition['x-labels'];
+  if (labels === undefined) return;
+  if (!Array.isArray(labels) || labels.length > MAX_LABELS || !labels.every(l => typeof l === 'string' && l.trim())) {
+    throw badRequest(`Field "${field}" x-labels must be an array of at most ${MAX_LABELS} non-empty strings`);
+  }
+}
+
+// Check a custom schema can drive extraction; throws 400 otherwise
+export function validateExtractionSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw badRequest('schema must be a JSON Schema object or the name of a built-in schema');
+  }
+  const properties = schema.properties;
+  if (!properties || typeof properties !== 'object' || !Object.keys(properties).length) {
+    throw badRequest('schema.properties must define at least one field');
+  }
+  const fields = Object.entries(properties);
+  if (fields.length > MAX_FIELDS) throw badRequest(`schema can have at most ${MAX_FIELDS} fields`);
+
+  for (const [field, definition] of fields) {
+    if (!FIELD_NAME.test(field)) throw badRequest(`Invalid field name "${field}"`);
+    const type = definition?.type || 'string';
+    const itemType = definition?.items?.type || 'string';
+    if (!SCALAR_TYPES.includes(type) && !(type === 'array' && SCALAR_TYPES.includes(itemType))) {
+      throw badRequest(`Field "${field}" has unsupported type "${type}${type === 'array' ? ` of ${itemType}` : ''}". Use string, number, integer, boolean or an array of those`);
+    }
+    if (definition?.pattern !== undefined) validatePattern(field, definition.pattern);
+    if (definition) validateLabels(field, definition);
+  }
+  return schema;
+}
+
+// Schema names become keys of Document.extractions
+export function validateSchemaName(name) {
+  if (typeof name !== 'string' || !FIELD_NAME.test(name)) throw badRequest(`Invalid schema name "${name}"`);
+  return name;
+}
+
+// { name, schema } from a request's `schema` (built-in name or JSON Schema)
+// and optional `name` (key the results are stored under; default "custom")
+export function resolveExtractionSchema(schema, name) {
+  if (typeof schema === 'string') {
+    const builtIn = EXTRACTION_SCHEMAS[schema];
+    if (!builtIn) {
+      throw badRequest(`Unknown schema "${schema}". Built-in schemas: ${Object.keys(EXTRACTION_SCHEMAS).join(', ')}`);
+    }
+    return { name: schema, schema: builtIn };
+  }
+
+  const resolvedName = validateSchemaName(name || 'custom');
+  if (EXTRACTION_SCHEMAS[resolvedName]) {
+    throw badRequest(`"${resolvedName}" is a built-in schema name; pick another name for a custom schema`);
+  }
+  return { name: resolvedName, schema: validateExtractionSchema(schema) };
+}
@@ -0,0 +1,14 @@
+import mammoth from 'mammoth';
+import { extractHtml } from './html.js';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('extractors');
+
+// Word documents go through mammoth's semantic HTML (headings, lists,
+// tables) so they split into sections the same way web pages do
+export async function extractDocx(filePath) {
+  const { value: html, messages } = await mammoth.convertToHtml({ path: filePath });
+  const warnings = messages.filter(m => m.type === 'error');
+  if (warnings.length) logger.warn('DOCX conversion warnings', { warnings: warnings.map(m => m.message) });
+  return extractHtml(html);
+}
@@ -0,0 +1,90 @@
+import { parse } from 'node-html-parser';
+
+const HEADING_LEVELS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'nav', 'svg', 'iframe']);
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'blockquote', 'pre',
+  'ul', 'ol', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'address', 'hr', 'br', 'tr'
+]);
+
+function inline(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function block(text) {
+  return text
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// { header, rows } for a data table, or null for layout tables
+function extractTable(table) {
+  const grid = table.querySelectorAll('tr')
+    .map(row => row.childNodes
+      .filter(cell => ['th', 'td'].includes(cell.rawTagName?.toLowerCase()))
+      .map(cell => inline(cell.text)))
+    .filter(cells => cells.some(Boolean));
+  const width = Math.max(0, ...grid.map(cells => cells.length));
+  if (grid.length < 2 || width < 2) return null;
+
+  const padded = grid.map(cells => [...cells, ...new Array(width - cells.length).fill('')]);
+  return { header: padded[0], rows: padded.slice(1) };
+}
+
+// Sections split at h1-h6, each carrying its heading path, plus data tables.
+// Returns { sections: [{ headings, text }], tables: [{ headings, header, rows }] }
+export function extractHtml(html) {
+  const root = parse(html, { blockTextElements: { pre: true } });
+  const body = root.querySelector('body') || root;
+
+  const sections = [];
+  const tables = [];
+  let headings = [];
+  let buffer = [];
+
+  const flush = () => {
+    const text = block(buffer.join(''));
+    if (text) sections.push({ headings: headings.filter(Boolean), text });
+    buffer = [];
+  };
+
+  const walk = node => {
+    if (node.nodeType === 3) {
+      buffer.push(node.text);
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.rawTagName?.toLowerCase();
+    if (SKIP_TAGS.has(tag)) return;
+
+    const level = HEADING_LEVELS[tag];
+    if (level) {
+      flush();
+      headings = headings.slice(0, level - 1);
+      while (headings.length < level - 1) headings.push('');
+      headings.push(inline(node.text));
+      return;
+    }
+
+    if (tag === 'table') {
+      const table = extractTable(node);
+      if (table) {
+        tables.push({ headings: headings.filter(Boolean), ...table });
+        return;
+      }
+    }
+
+    if (tag === 'li') buffer.push('\n- ');
+    else if (BLOCK_TAGS.has(tag)) buffer.push('\n\n');
+    node.childNodes.forEach(walk);
+    if (BLOCK_TAGS.has(tag)) buffer.push('\n\n');
+    else if (['td', 'th'].includes(tag)) buffer.push(' ');
+  };
+
+  walk(body);
+  flush();
+  return { sections, tables };
+}
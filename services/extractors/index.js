@@ -0,0 +1,35 @@
+import fs from 'fs';
+import { extractHtml } from './html.js';
+import { extractMarkdown } from './markdown.js';
+import { extractDocx } from './docx.js';
+import { extractCsv, extractXlsx } from './spreadsheet.js';
+
+function readText(filePath) {
+  return fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// Structured (non-PDF, non-image) formats from services/formats.js.
+// Returns { sections: [{ headings, text }], tables: [{ name?, headings?, header, rows }] }
+export async function extractDocument(format, filePath) {
+  switch (format) {
+    case 'docx':
+      return extractDocx(filePath);
+    case 'xlsx':
+      return extractXlsx(filePath);
+    case 'csv':
+      return extractCsv(readText(filePath));
+    case 'html':
+      return extractHtml(readText(filePath));
+    case 'markdown':
+      return extractMarkdown(readText(filePath));
+    case 'text': {
+      const text = readText(filePath).trim();
+      return { sections: text ? [{ headings: [], text }] : [], tables: [] };
+    }
+    default: {
+      const error = new Error(`No extractor for format: ${format}`);
+      error.status = 415;
+      throw error;
+    }
+  }
+}
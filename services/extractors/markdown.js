@@ -0,0 +1,93 @@
+const ATX_HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const FENCE = /^ {0,3}(```|~~~)/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+// Drop inline markup but keep the readable text
+function inline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)]*)\)/g, '$1 ($2)')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => inline(cell.trim()));
+}
+
+// Sections split at ATX (#) and setext (===/---) headings, each carrying its
+// heading path, plus pipe tables. Fenced code is kept verbatim.
+// Returns { sections: [{ headings, text }], tables: [{ headings, header, rows }] }
+export function extractMarkdown(markdown) {
+  let lines = markdown.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+  // YAML front matter
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) lines = lines.slice(end + 1);
+  }
+
+  const sections = [];
+  const tables = [];
+  let headings = [];
+  let buffer = [];
+  let fenced = false;
+
+  const flush = () => {
+    const text = buffer.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (text) sections.push({ headings: headings.filter(Boolean), text });
+    buffer = [];
+  };
+  const setHeading = (level, title) => {
+    flush();
+    headings = headings.slice(0, level - 1);
+    while (headings.length < level - 1) headings.push('');
+    headings.push(inline(title.trim()));
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (FENCE.test(line)) {
+      fenced = !fenced;
+      continue;
+    }
+    if (fenced) {
+      buffer.push(line);
+      continue;
+    }
+
+    const atx = ATX_HEADING.exec(line);
+    if (atx) {
+      setHeading(atx[1].length, atx[2]);
+      continue;
+    }
+
+    const next = lines[i + 1] ?? '';
+    const previousBlank = !buffer.length || !buffer[buffer.length - 1].trim();
+    if (line.trim() && previousBlank && /^ {0,3}(=+|-+)\s*$/.test(next) && !line.includes('|')) {
+      setHeading(next.trim().startsWith('=') ? 1 : 2, line);
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER.test(next)) {
+      const header = tableCells(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        const cells = tableCells(lines[i]);
+        rows.push(header.map((_, c) => cells[c] ?? ''));
+        i++;
+      }
+      i--;
+      tables.push({ headings: headings.filter(Boolean), header, rows });
+      continue;
+    }
+
+    buffer.push(inline(line));
+  }
+
+  flush();
+  return { sections, tables };
+}
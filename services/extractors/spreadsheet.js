@@ -0,0 +1,90 @@
+import ExcelJS from 'exceljs';
+
+// Cells go into single-line CSV rows (see chunkTableCSV)
+function cellText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// First non-empty row is the header; trailing empty columns are dropped
+function toTable(grid, name) {
+  const rows = grid.filter(cells => cells.some(Boolean));
+  if (!rows.length) return null;
+  const width = Math.max(...rows.map(cells => {
+    let last = cells.length;
+    while (last > 0 && !cells[last - 1]) last--;
+    return last;
+  }));
+  const padded = rows.map(cells => Array.from({ length: width }, (_, i) => cells[i] || ''));
+  return { name, header: padded[0], rows: padded.slice(1) };
+}
+
+// The delimiter (comma, semicolon or tab) that splits the first line most
+function sniffDelimiter(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') >>> 0);
+  return [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+}
+
+// RFC 4180 parsing: quoted fields may hold delimiters, quotes and newlines
+export function parseCSV(text, delimiter = sniffDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && !cell) {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Returns { sections: [], tables: [{ name, header, rows }] }
+export function extractCsv(text, name = null) {
+  const grid = parseCSV(text.replace(/^\uFEFF/, '')).map(cells => cells.map(cellText));
+  const table = toTable(grid, name);
+  return { sections: [], tables: table ? [table] : [] };
+}
+
+// One table per non-empty worksheet, named after the sheet
+export async function extractXlsx(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const tables = [];
+  workbook.eachSheet(sheet => {
+    const grid = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, col) => {
+        // Dates as ISO days rather than Date#toString
+        cells[col - 1] = cell.value instanceof Date
+          ? cell.value.toISOString().slice(0, 10)
+          : cellText(cell.text);
+      });
+      grid.push(Array.from(cells, c => c || ''));
+    });
+    const table = toTable(grid, sheet.name);
+    if (table) tables.push(table);
+  });
+  return { sections: [], tables };
+}
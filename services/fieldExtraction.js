@@ -0,0 +1,212 @@
+import vm from 'vm';
+import { cleanText } from './language.js';
+import { createLogger } from './logger.js';
+
+// Heuristic schema filling, used when no LLM is configured (or it fails) and
+// by the heuristic answerer. Each field is looked up in its own ranked chunks:
+// a value right after one of the field's labels (`x-labels`, title, field
+// name), then table cells under or next to a label, then, for dates and
+// fields with a `pattern`, the first value of the right shape.
+
+const MONTH = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+const DATE_VALUE = [
+  `${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}`,
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH},?\\s+\\d{4}`,
+  '\\d{4}-\\d{1,2}-\\d{1,2}',
+  '\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}'
+].join('|');
+const NUMBER_VALUE = '\\(?[-−]?(?:[$€£₹¥]|USD|EUR|GBP|INR)?\\s?\\d[\\d,]*(?:\\.\\d+)?\\)?';
+// Up to the end of the line, a table cell, a sentence or a verb/preposition
+// that starts the next clause ("Jane Doe has completed", "Acme on March 5")
+const STRING_VALUE = '[^\\n|;]{2,120}?(?=\\s{2,}|\\n|[|;]|\\.(?:\\s|$)|\\s+(?:has|have|had|is|was|who|which|on|for|dated)\\b|$)';
+// Lists run to the end of the line and are split on separators afterwards
+const LIST_VALUE = '[^\\n|]{2,300}?(?=\\s{2,}|\\n|\\||$)';
+
+// Confidence by how the value was found, lowered for lower-ranked chunks
+const CONFIDENCE = { label: 0.8, table: 0.8, shape: 0.35 };
+
+// Value patterns come from API clients, and any regex can backtrack for
+// minutes on the wrong text. They run in their own V8 context, where a time
+// limit stops them before they hold the event loop from other requests.
+// The limit is the total matching time of one field.
+const PATTERN_TIMEOUT_MS = Number(process.env.EXTRACTION_PATTERN_TIMEOUT_MS || 200);
+const patternContext = vm.createContext(Object.create(null));
+const patternScript = new vm.Script(`(() => {
+  const values = [];
+  for (const match of input.text.matchAll(new RegExp(input.source, input.flags))) {
+    values.push(match[input.group]);
+    if (!input.all) break;
+  }
+  return values;
+})()`);
+
+const logger = createLogger('extraction');
+
+// Values of capture group `group` for the first (or every) match, given
+// until `deadline` (ms since epoch) to run
+function findMatches(text, source, flags, { group = 0, all = false, deadline }) {
+  patternContext.input = { text, source, flags: `${flags}g`, group, all };
+  try {
+    return patternScript.runInContext(patternContext, { timeout: Math.max(1, Math.ceil(deadline - Date.now())) });
+  } finally {
+    patternContext.input = null;
+  }
+}
+
+function isTimeout(error) {
+  return error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function humanize(field) {
+  return field.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+}
+
+function fieldLabels(field, definition) {
+  const labels = [...(definition['x-labels'] || []), definition.title, humanize(field)]
+    .filter(Boolean)
+    .map(l => l.toLowerCase());
+  return [...new Set(labels)];
+}
+
+function valuePattern(definition) {
+  const type = definition.type === 'array' ? definition.items?.type || 'string' : definition.type || 'string';
+  if (definition.pattern) return definition.pattern;
+  if (type === 'number' || type === 'integer') return NUMBER_VALUE;
+  if (definition.format === 'date' || definition.format === 'date-time') return DATE_VALUE;
+  return definition.type === 'array' ? LIST_VALUE : STRING_VALUE;
+}
+
+// Typed value, or null when the text doesn't fit the field's type
+export function coerceValue(definition, value) {
+  if (value === null || value === undefined || value === '') return null;
+  const type = definition.type || 'string';
+
+  if (type === 'array') {
+    const items = Array.isArray(value) ? value : String(value).split(/\s*[,;•·|]\s*/);
+    const coerced = items.map(item => coerceValue(definition.items || { type: 'string' }, item)).filter(v => v !== null);
+    return coerced.length ? [...new Set(coerced)] : null;
+  }
+  if (type === 'number' || type === 'integer') {
+    if (typeof value === 'number') return type === 'integer' ? Math.round(value) : value;
+    const text = String(value);
+    const digits = text.replace(/[^\d.-]/g, '').replace(/(?!^)-/g, '');
+    let number = Number.parseFloat(digits);
+    if (!Number.isFinite(number)) return null;
+    // Accounting negatives: (1,234) or −1,234
+    if (/^\s*\(.*\)\s*$/.test(text) || text.includes('−')) number = -Math.abs(number);
+    return type === 'integer' ? Math.round(number) : number;
+  }
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    return /^(true|yes|y|1)$/i.test(String(value).trim());
+  }
+
+  const text = cleanText(String(value))
+    .replace(/^[\s:#–-]+|[\s,:;–-]+$/g, '')
+    .replace(/^(?:the|a|an)\s+/i, '');
+  if (!text) return null;
+  if (definition.format === 'date') {
+    const parsed = new Date(text.replace(/(\d)(st|nd|rd|th)\b/, '$1').replace(/\bof\s+/i, ''));
+    // Day-first and other ambiguous formats stay as written
+    if (!Number.isNaN(parsed.getTime()) && /[a-z]|\d{4}-\d/i.test(text)) {
+      return [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()]
+        .map((n, i) => String(n).padStart(i ? 2 : 4, '0'))
+        .join('-');
+    }
+  }
+  return text;
+}
+
+function matchAfterLabel(text, label, pattern, global, deadline) {
+  const source = `(?:^|[^\\p{L}\\p{N}])${escapeRegex(label)}\\s*(?:[:#=–-]|\\bis\\b|\\bwas\\b)?\\s*(${pattern})`;
+  return findMatches(text, source, 'iu', { group: 1, all: global, deadline });
+}
+
+// Cell under a header, or next to a row label, in a structured table chunk
+function matchInTable(hit, labels, definition) {
+  const columns = hit.metadata?.columns;
+  const rows = hit.metadata?.rows;
+  if (!columns?.length || !rows?.length) return null;
+
+  const matchesLabel = cell => labels.some(label => String(cell || '').toLowerCase().includes(label));
+  const fits = cell => coerceValue(definition, cell) !== null;
+
+  const column = columns.findIndex(matchesLabel);
+  if (column >= 0) {
+    const row = rows.find(r => r[column] && fits(r[column]));
+    if (row) return row[column];
+  }
+  for (const row of rows) {
+    if (matchesLabel(row[0])) {
+      const cell = row.slice(1).find(c => c && fits(c));
+      if (cell) return cell;
+    }
+  }
+  return null;
+}
+
+function located(value, hit, how, rank) {
+  return {
+    value,
+    chunkId: hit._id ?? null,
+    page: hit.page ?? null,
+    confidence: Math.round(CONFIDENCE[how] * Math.max(0.5, 1 - rank * 0.1) * 100) / 100
+  };
+}
+
+export const EMPTY_FIELD = { value: null, chunkId: null, page: null, confidence: 0 };
+
+// Fill one field from its ranked chunks: { value, chunkId, page, confidence }
+export function extractField(field, definition, hits) {
+  try {
+    return findField(field, definition, hits);
+  } catch (error) {
+    if (!isTimeout(error)) throw error;
+    // One slow pattern costs its field, not the whole extraction
+    logger.warn('Extraction pattern timed out', { field, timeoutMs: PATTERN_TIMEOUT_MS });
+    return { ...EMPTY_FIELD };
+  }
+}
+
+function findField(field, definition, hits) {
+  const labels = fieldLabels(field, definition);
+  const pattern = valuePattern(definition);
+  const isArray = definition.type === 'array';
+  const deadline = Date.now() + PATTERN_TIMEOUT_MS;
+
+  for (const [rank, hit] of hits.entries()) {
+    const text = hit.text || '';
+    for (const label of labels) {
+      const raw = matchAfterLabel(text, label, pattern, isArray, deadline);
+      const value = coerceValue(definition, isArray ? raw.join(', ') : raw[0]);
+      if (value !== null) return located(value, hit, 'label', rank);
+    }
+    const cell = matchInTable(hit, labels, definition);
+    if (cell !== null) return located(coerceValue(definition, cell), hit, 'table', rank);
+  }
+
+  // Values of a recognizable shape without a label (dates, patterns); bare
+  // numbers are too ambiguous to take without one
+  if (definition.pattern || pattern === DATE_VALUE) {
+    // Custom patterns keep their case (ID formats); month names don't
+    const flags = pattern === DATE_VALUE ? 'iu' : 'u';
+    for (const [rank, hit] of hits.entries()) {
+      const [match] = findMatches(hit.text || '', pattern, flags, { deadline });
+      const value = match === undefined ? null : coerceValue(definition, match);
+      if (value !== null && value !== undefined) return located(value, hit, 'shape', rank);
+    }
+  }
+  return { ...EMPTY_FIELD };
+}
+
+// Fill every field of a schema. hitsFor(field) returns that field's ranked
+// chunks ({ _id, text, page, metadata }).
+export function extractFields(schema, hitsFor) {
+  return Object.fromEntries(
+    Object.entries(schema.properties).map(([field, definition]) => [field, extractField(field, definition, hitsFor(field))])
+  );
+}
@@ -0,0 +1,146 @@
+import Chunk from '../models/Chunk.js';
+import Document from '../models/Document.js';
+
+export const CHUNK_TYPES = ['text', 'table', 'chart', 'image_ocr', 'chart_ocr', 'certificate_ocr', 'table_ocr'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function stringList(name, value) {
+  const list = (Array.isArray(value) ? value : [value]).map(v => String(v ?? '').trim()).filter(Boolean);
+  if (!list.length) throw badRequest(`filters.${name} must be a non-empty string or array of strings`);
+  return [...new Set(list)];
+}
+
+function pageNumber(name, value) {
+  const page = Number(value);
+  if (!Number.isInteger(page) || page < 1) throw badRequest(`filters.${name} must be a page number (1 or more)`);
+  return page;
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date without a time is the start of that day (UTC), or its last
+// millisecond with endOfDay, so an upper bound includes the day it names
+function date(name, value, { endOfDay = false } = {}) {
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) throw badRequest(`filters.${name} must be an ISO date`);
+  if (endOfDay && typeof value === 'string' && DATE_ONLY.test(value.trim())) {
+    return new Date(parsed.getTime() + DAY_MS - 1);
+  }
+  return parsed;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Validate the `filters` of a query and normalize them:
+//   { docId, source, type }            string or array (source matches part of the filename)
+//   { pageFrom, pageTo }               inclusive page range
+//   { uploadedAfter, uploadedBefore }  inclusive upload date range (ISO dates)
+// Returns null when no filter is set. Normalized filters parse to themselves.
+export function parseQueryFilters(filters) {
+  if (filters === undefined || filters === null) return null;
+  if (typeof filters !== 'object' || Array.isArray(filters)) throw badRequest('filters must be an object');
+
+  const parsed = {};
+  if (filters.docId !== undefined) parsed.docId = stringList('docId', filters.docId);
+  if (filters.source !== undefined) parsed.source = stringList('source', filters.source);
+  if (filters.type !== undefined) {
+    parsed.type = stringList('type', filters.type);
+    const invalid = parsed.type.filter(t => !CHUNK_TYPES.includes(t));
+    if (invalid.length) throw badRequest(`Invalid chunk type(s): ${invalid.join(', ')}. Expected: ${CHUNK_TYPES.join(', ')}`);
+  }
+  if (filters.pageFrom !== undefined) parsed.pageFrom = pageNumber('pageFrom', filters.pageFrom);
+  if (filters.pageTo !== undefined) parsed.pageTo = pageNumber('pageTo', filters.pageTo);
+  if (parsed.pageFrom && parsed.pageTo && parsed.pageFrom > parsed.pageTo) {
+    throw badRequest('filters.pageFrom is after filters.pageTo');
+  }
+  if (filters.uploadedAfter !== undefined) parsed.uploadedAfter = date('uploadedAfter', filters.uploadedAfter);
+  if (filters.uploadedBefore !== undefined) parsed.uploadedBefore = date('uploadedBefore', filters.uploadedBefore, { endOfDay: true });
+  if (parsed.uploadedAfter && parsed.uploadedBefore && parsed.uploadedAfter > parsed.uploadedBefore) {
+    throw badRequest('filters.uploadedAfter is after filters.uploadedBefore');
+  }
+
+  return Object.keys(parsed).length ? parsed : null;
+}
+
+// Turn query filters into fields stored on every chunk, which the vector
+// stores filter on before ranking: { docIds?, types?, pageFrom?, pageTo? }.
+// Filename and upload date live on the tenant's Document records and are
+// resolved to docIds here. docIds: [] means nothing can match.
+export async function resolveChunkFilter(filters, tenant) {
+  if (!filters) return null;
+
+  const filter = {};
+  if (filters.type) filter.types = filters.type;
+  if (filters.pageFrom) filter.pageFrom = filters.pageFrom;
+  if (filters.pageTo) filter.pageTo = filters.pageTo;
+
+  let docIds = filters.docId || null;
+  if (filters.source || filters.uploadedAfter || filters.uploadedBefore) {
+    const query = { tenant };
+    if (docIds) query.docId = { $in: docIds };
+    if (filters.source) {
+      query.filename = { $regex: filters.source.map(escapeRegex).join('|'), $options: 'i' };
+    }
+    if (filters.uploadedAfter || filters.uploadedBefore) {
+      query.createdAt = {};
+      if (filters.uploadedAfter) query.createdAt.$gte = filters.uploadedAfter;
+      if (filters.uploadedBefore) query.createdAt.$lte = filters.uploadedBefore;
+    }
+    const documents = await Document.find(query, { docId: 1 }).lean();
+    docIds = documents.map(d => d.docId);
+    if (filters.source) docIds.push(...await unrecordedDocIds(filters, tenant, query.docId));
+  }
+  if (docIds) filter.docIds = docIds;
+
+  return filter;
+}
+
+// Chunks ingested before Document records existed only know their file by
+// chunk.source (a path); their docIds are matched on its file name and,
+// for dates, on when the chunk was created
+async function unrecordedDocIds(filters, tenant, docIdQuery) {
+  const names = filters.source.map(escapeRegex).join('|');
+  const query = { tenant, source: { $regex: `(?:${names})[^/\\\\]*$`, $options: 'i' } };
+  if (docIdQuery) query.docId = docIdQuery;
+  if (filters.uploadedAfter || filters.uploadedBefore) {
+    query.createdAt = {};
+    if (filters.uploadedAfter) query.createdAt.$gte = filters.uploadedAfter;
+    if (filters.uploadedBefore) query.createdAt.$lte = filters.uploadedBefore;
+  }
+  const candidates = await Chunk.distinct('docId', query);
+  if (!candidates.length) return [];
+  const recorded = new Set(await Document.distinct('docId', { tenant, docId: { $in: candidates } }));
+  return candidates.filter(docId => !recorded.has(docId));
+}
+
+// Mongo form of a chunk filter, valid in $vectorSearch `filter` and in find()
+export function toMongoFilter(filter) {
+  const query = {};
+  if (!filter) return query;
+  if (filter.docIds) query.docId = { $in: filter.docIds };
+  if (filter.types) query.type = { $in: filter.types };
+  if (filter.pageFrom || filter.pageTo) {
+    query.page = {};
+    if (filter.pageFrom) query.page.$gte = filter.pageFrom;
+    if (filter.pageTo) query.page.$lte = filter.pageTo;
+  }
+  return query;
+}
+
+// Same check in memory (local vector store)
+export function matchesFilter(entry, filter) {
+  if (!filter) return true;
+  if (filter.docIds && !filter.docIds.includes(entry.docId)) return false;
+  if (filter.types && !filter.types.includes(entry.type)) return false;
+  if (filter.pageFrom && !(entry.page >= filter.pageFrom)) return false;
+  if (filter.pageTo && !(entry.page <= filter.pageTo)) return false;
+  return true;
+}
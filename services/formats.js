@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { fileTypeFromFile } from 'file-type';
+
+// Upload formats, identified from the file content (magic bytes, or a UTF-8
+// check for text formats) rather than the client's extension or MIME type
+export const FORMATS = {
+  pdf: 'application/pdf',
+  image: 'image/*',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv',
+  html: 'text/html',
+  markdown: 'text/markdown',
+  text: 'text/plain'
+};
+
+// Images Tesseract gets through sharp
+const IMAGE_TYPES = new Set(['png', 'jpg', 'webp', 'tif', 'bmp', 'gif', 'avif']);
+
+const TEXT_SNIFF_BYTES = 8192;
+
+function unsupported(message) {
+  const error = new Error(message);
+  error.status = 415;
+  return error;
+}
+
+// Valid UTF-8 without NUL bytes in the first few KB
+function readTextSample(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(TEXT_SNIFF_BYTES);
+    const bytes = fs.readSync(fd, buffer, 0, TEXT_SNIFF_BYTES, 0);
+    const sample = buffer.subarray(0, bytes);
+    if (sample.includes(0)) return null;
+    // The sample may end inside a multi-byte character
+    for (let trim = 0; trim < 4 && trim <= bytes; trim++) {
+      try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, bytes - trim));
+      } catch {
+        // try a shorter sample
+      }
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function textFormat(sample, { filename, mimetype }) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (/^\s*(<!doctype html|<html[\s>])/i.test(sample)) return 'html';
+  if (['.html', '.htm'].includes(ext) || mimetype === 'text/html') return 'html';
+  if (['.md', '.markdown'].includes(ext) || mimetype === 'text/markdown') return 'markdown';
+  if (['.csv', '.tsv'].includes(ext) || ['text/csv', 'text/tab-separated-values'].includes(mimetype)) return 'csv';
+  return 'text';
+}
+
+// Returns { format, mimetype } or throws a 415 error for unsupported content.
+// filename/mimetype as sent by the client only choose between text formats,
+// which have no signature of their own.
+export async function detectFormat(filePath, { filename, mimetype } = {}) {
+  const type = await fileTypeFromFile(filePath);
+
+  if (type) {
+    if (type.ext === 'pdf') return { format: 'pdf', mimetype: FORMATS.pdf };
+    if (IMAGE_TYPES.has(type.ext)) return { format: 'image', mimetype: type.mime };
+    if (type.ext === 'docx') return { format: 'docx', mimetype: FORMATS.docx };
+    if (type.ext === 'xlsx') return { format: 'xlsx', mimetype: FORMATS.xlsx };
+    if (['doc', 'xls', 'cfb'].includes(type.ext)) {
+      throw unsupported(`Legacy Office files are not supported (${filename || type.ext}); save it as .docx or .xlsx`);
+    }
+    throw unsupported(`Unsupported file type ${type.mime} (${filename || type.ext})`);
+  }
+
+  const sample = readTextSample(filePath);
+  if (sample === null) {
+    throw unsupported(`Unsupported file type: ${filename || path.basename(filePath)} is neither a known document format nor UTF-8 text`);
+  }
+  const format = textFormat(sample, { filename, mimetype });
+  return { format, mimetype: FORMATS[format] };
+}
@@ -0,0 +1,141 @@
+import OpenAI from 'openai';
+import { buildAnswerMessages } from './prompts.js';
+import { generateHeuristicAnswer, groupContextsBySource, detectDocumentType } from './heuristicAnswer.js';
+import { createLogger } from './logger.js';
+import { timed, answerGenerationDuration } from './metrics.js';
+
+let client = null;
+
+const logger = createLogger('generation');
+
+// Provider is any OpenAI-compatible endpoint (OpenAI, llama.cpp server, Ollama,
+// a local mock...). It is enabled when LLM_BASE_URL or an API key is set.
+export function getLLMConfig() {
+  const baseURL = process.env.LLM_BASE_URL || undefined;
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+  return {
+    enabled: Boolean(baseURL || apiKey),
+    baseURL,
+    // Local servers usually ignore the key, but the client requires one
+    apiKey: apiKey || 'not-needed',
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    temperature: Number(process.env.LLM_TEMPERATURE ?? 0.1),
+    maxTokens: Number(process.env.LLM_MAX_TOKENS || 512),
+    timeout: Number(process.env.LLM_TIMEOUT_MS || 60000)
+  };
+}
+
+export function getLLMClient() {
+  const config = getLLMConfig();
+  if (!config.enabled) return null;
+  if (!client) {
+    client = new OpenAI({
+      baseURL: config.baseURL,
+      apiKey: config.apiKey,
+      timeout: config.timeout,
+      maxRetries: 1
+    });
+    logger.info('LLM provider configured', { provider: config.baseURL || 'OpenAI', model: config.model });
+  }
+  return client;
+}
+
+// Pick the prompt template from the most relevant document's contexts
+function promptDocumentType(contexts) {
+  const [primaryContexts] = Object.values(groupContextsBySource(contexts));
+  return detectDocumentType(primaryContexts);
+}
+
+async function generateLLMAnswer(llm, question, contexts, history) {
+  const config = getLLMConfig();
+  const completion = await llm.chat.completions.create({
+    model: config.model,
+    messages: buildAnswerMessages(question, contexts, promptDocumentType(contexts), history),
+    temperature: config.temperature,
+    max_tokens: config.maxTokens
+  });
+
+  const answer = completion.choices?.[0]?.message?.content?.trim();
+  if (!answer) throw new Error('LLM returned an empty answer');
+  return answer;
+}
+
+// Stream the answer through onDelta(text) as it is produced; resolves with the
+// full answer. Heuristic answers are emitted word by word so the client sees
+// the same event shape whichever path is used. Conversation options are
+// those of generateAnswer.
+export async function streamAnswer(question, contexts, onDelta, { signal, history = [], standaloneQuestion = question } = {}) {
+  if (!contexts.length) {
+    const answer = 'No relevant context found.';
+    onDelta(answer);
+    return answer;
+  }
+
+  const llm = getLLMClient();
+  if (llm) {
+    let answer = '';
+    const endTimer = answerGenerationDuration.startTimer({ method: 'llm', stream: 'true' });
+    try {
+      const config = getLLMConfig();
+      const stream = await llm.chat.completions.create({
+        model: config.model,
+        messages: buildAnswerMessages(question, contexts, promptDocumentType(contexts), history),
+        temperature: config.temperature,
+        max_tokens: config.maxTokens,
+        stream: true
+      }, { signal });
+
+      for await (const part of stream) {
+        const delta = part.choices?.[0]?.delta?.content;
+        if (delta) {
+          answer += delta;
+          onDelta(delta);
+        }
+      }
+      if (answer.trim()) return answer;
+      throw new Error('LLM returned an empty answer');
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // Part of the answer already reached the client; don't mix in another one
+      if (answer) throw error;
+      logger.warn('LLM streaming failed, using heuristic answer', { error: error.message });
+    } finally {
+      endTimer();
+    }
+  }
+
+  const answer = await timed(answerGenerationDuration, { method: 'heuristic', stream: 'true' }, () => (
+    generateHeuristicAnswer(standaloneQuestion, contexts)
+  ));
+  for (const piece of answer.match(/\S+\s*/g) || []) {
+    if (signal?.aborted) break;
+    onDelta(piece);
+  }
+  return answer;
+}
+
+// Answer from the retrieved contexts with the configured LLM, falling back to
+// the heuristic answerer when no provider is configured or the call fails.
+// In a conversation, history (earlier turns) goes to the LLM with the
+// question as asked; the heuristic answerer, which only matches words, gets
+// the standalone rewrite instead.
+export async function generateAnswer(question, contexts, { history = [], standaloneQuestion = question } = {}) {
+  if (!contexts.length) {
+    return 'No relevant context found.';
+  }
+
+  const llm = getLLMClient();
+  if (llm) {
+    try {
+      return await timed(answerGenerationDuration, { method: 'llm', stream: 'false' }, () => (
+        generateLLMAnswer(llm, question, contexts, history)
+      ));
+    } catch (error) {
+      logger.warn('LLM generation failed, using heuristic answer', { error: error.message });
+    }
+  }
+
+  return timed(answerGenerationDuration, { method: 'heuristic', stream: 'false' }, () => (
+    generateHeuristicAnswer(standaloneQuestion, contexts)
+  ));
+}
@@ -0,0 +1,58 @@
+export const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+
+// Validate per-request retrieval options (mode and fusion weights) and fill
+// in defaults. RETRIEVAL_MODE sets the default mode (hybrid if unset).
+export function resolveRetrievalOptions(options = {}) {
+  const mode = (options.mode || process.env.RETRIEVAL_MODE || 'hybrid').toLowerCase();
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw badRequest(`Invalid retrieval mode "${mode}". Expected one of: ${RETRIEVAL_MODES.join(', ')}`);
+  }
+
+  const vectorWeight = Number(options.vectorWeight ?? 1);
+  const keywordWeight = Number(options.keywordWeight ?? 1);
+  for (const [name, value] of [['vectorWeight', vectorWeight], ['keywordWeight', keywordWeight]]) {
+    if (!Number.isFinite(value) || value < 0) {
+      throw badRequest(`${name} must be a non-negative number`);
+    }
+  }
+  if (mode === 'hybrid' && vectorWeight + keywordWeight === 0) {
+    throw badRequest('vectorWeight and keywordWeight cannot both be 0');
+  }
+
+  const rrfK = Number(options.rrfK ?? process.env.RRF_K ?? 60);
+  if (!Number.isFinite(rrfK) || rrfK <= 0) {
+    throw badRequest('rrfK must be a positive number');
+  }
+
+  return { mode, vectorWeight, keywordWeight, rrfK };
+}
+
+function resultKey(r) {
+  return r._id ? String(r._id) : `${r.source}|${r.page}|${r.text}`;
+}
+
+// Weighted reciprocal rank fusion: each list contributes weight / (k + rank).
+// Lists are [{ name, weight, results }]; every fused result keeps the original
+// per-list score as `${name}Score` and gets the fused value as `score`.
+export function reciprocalRankFusion(lists, { k = 60 } = {}) {
+  const fused = new Map();
+
+  for (const { name, weight, results } of lists) {
+    if (!weight) continue;
+    results.forEach((result, rank) => {
+      const key = resultKey(result);
+      const item = fused.get(key) || { ...result, score: 0 };
+      item[`${name}Score`] = result.score;
+      item.score += weight / (k + rank + 1);
+      fused.set(key, item);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
@@ -1,15 +1,39 @@
 import fs from 'fs';
+import zlib from 'zlib';
 import path from 'path';
-import pdfParse from 'pdf-parse';
+import { fileURLToPath } from 'url';
 import pdfjsLib from 'pdfjs-dist/legacy/build/pdf.js';
 import sharp from 'sharp';
 import Tesseract from 'tesseract.js';
-import Chunk from '../models/Chunk.js';
-import { embedTexts } from './embedding.js';
-import { chunkText } from './chunk.js';
+import { embedTexts, getEmbeddingModelInfo } from './embedding.js';
+import { chunkText, chunkTableCSV } from './chunk.js';
+import { detectTables, toCSV } from './tables.js';
+import { analyzeChart, renderChartText } from './charts.js';
+import { wordsFromTextItems, scaleWords, layoutText } from './layout.js';
+import { getVectorStore } from './vectorStore.js';
+import { cleanText, detectLanguage, languagesForText, languagesForScript } from './language.js';
+import { detectFormat } from './formats.js';
+import { extractDocument } from './extractors/index.js';
+import { createLogger } from './logger.js';
+import { pdfRenderDuration, ocrPageDuration, ocrConfidence, ocrFailures, ingestedChunks } from './metrics.js';
 import canvas from 'canvas';
 const { createCanvas, Image, ImageData, Path2D } = canvas;
 
+// Pages with fewer non-whitespace characters in their text layer get OCR'd
+const OCR_MIN_TEXT_CHARS = Number(process.env.OCR_MIN_TEXT_CHARS || 100);
+const PAGE_RENDER_SCALE = 2.0; // Reduced from 2.5 to 2.0
+const TABLE_DETECTION = process.env.TABLE_DETECTION !== 'false';
+const CHART_ANALYSIS = process.env.CHART_ANALYSIS !== 'false';
+// OCR languages when none are requested and detection finds nothing
+const DEFAULT_OCR_LANGUAGES = (process.env.OCR_LANGUAGES || 'eng').split(/[+,\s]+/).filter(Boolean);
+// Traineddata (<lang>.traineddata or .traineddata.gz). A TESSDATA_DIR set in
+// the environment is the only source (offline); the default tessdata/ is a
+// cache for languages downloaded from the tesseract.js CDN.
+const TESSDATA_OFFLINE = Boolean(process.env.TESSDATA_DIR);
+const TESSDATA_DIR = process.env.TESSDATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), '../tessdata');
+
+const logger = createLogger('ingest');
+
 // Set up global objects for PDF.js
 global.Image = Image;
 global.ImageData = ImageData;
@@ -51,8 +75,103 @@ class NodeCanvasFactory {
   }
 }
 
-// Fast OCR function optimized for speed
-async function ocrBuffer(buf, isChart = false) {
+let tessdataReady = false;
+
+// Tesseract worker options reading traineddata from TESSDATA_DIR. Tesseract
+// reads <lang>.traineddata from the cache directory first and downloads only
+// the languages missing there (offline, checkTraineddata rules that out
+// first). langPath stays unset: pointing it at the directory would make every
+// missing language a file read (ENOENT) instead of a download. Local
+// .traineddata.gz files are unpacked next to themselves once, since the cache
+// lookup only knows the plain name.
+function tesseractOptions() {
+  if (!tessdataReady) {
+    fs.mkdirSync(TESSDATA_DIR, { recursive: true });
+    for (const file of fs.readdirSync(TESSDATA_DIR).filter(f => f.endsWith('.traineddata.gz'))) {
+      const target = path.join(TESSDATA_DIR, file.slice(0, -'.gz'.length));
+      if (!fs.existsSync(target)) fs.writeFileSync(target, zlib.gunzipSync(fs.readFileSync(path.join(TESSDATA_DIR, file))));
+    }
+    tessdataReady = true;
+  }
+  // readOnly: on a failed init Tesseract would otherwise delete the cached
+  // files, which offline are the only copy
+  return { logger: () => {}, cachePath: TESSDATA_DIR, ...(TESSDATA_OFFLINE && { cacheMethod: 'readOnly' }) };
+}
+
+function hasTraineddata(lang) {
+  tesseractOptions();
+  return fs.existsSync(path.join(TESSDATA_DIR, `${lang}.traineddata`));
+}
+
+// Offline, OCR in a language without local traineddata fails the document
+// with the missing files named, instead of attempting a download
+function checkTraineddata(languages) {
+  if (!TESSDATA_OFFLINE) return;
+  const missing = languages.filter(lang => !hasTraineddata(lang));
+  if (missing.length) {
+    const error = new Error(`Missing OCR traineddata in TESSDATA_DIR (${TESSDATA_DIR}): ${missing.map(lang => `${lang}.traineddata`).join(', ')}`);
+    error.code = 'ETESSDATA';
+    throw error;
+  }
+}
+
+// OCR languages for an image: requested ones win, then languages detected in
+// hint text (e.g. the page's text layer), then the script Tesseract's
+// orientation/script detection sees, then OCR_LANGUAGES. Script detection
+// starts its own worker, so it runs once per document: `detected` (one
+// object per document) keeps its result for the later pages.
+async function resolveOcrLanguages(buf, { languages, hintText, detected = {} } = {}) {
+  if (languages?.length) return languages;
+
+  if (countTextChars(hintText) >= 20) {
+    const fromText = languagesForText(hintText);
+    if (fromText.length) return fromText;
+  }
+
+  detected.languages ??= await detectScriptLanguages(buf);
+  return detected.languages;
+}
+
+async function detectScriptLanguages(buf) {
+  // Offline without osd.traineddata there is nothing to detect with
+  if (TESSDATA_OFFLINE && !hasTraineddata('osd')) return DEFAULT_OCR_LANGUAGES;
+
+  try {
+    const { data } = await Tesseract.detect(buf, tesseractOptions());
+    const fromScript = languagesForScript(data?.script);
+    if (fromScript.length) {
+      logger.debug('Detected script for OCR', { script: data.script, confidence: Math.round(data.script_confidence || 0) });
+      return fromScript;
+    }
+  } catch (error) {
+    logger.warn('Script detection failed, using default OCR languages', { error: error.message || String(error) });
+  }
+  return DEFAULT_OCR_LANGUAGES;
+}
+
+// Tesseract words as { text, bbox } scaled back to the input image's pixels
+function ocrWords(words = [], scale = 1) {
+  return scaleWords(
+    words
+      .map(w => ({ text: cleanText(w.text || ''), bbox: [w.bbox.x0, w.bbox.y0, w.bbox.x1, w.bbox.y1] }))
+      .filter(w => w.text && !/\s/.test(w.text)),
+    scale
+  );
+}
+
+// Fast OCR function optimized for speed. Returns { text, words, confidence,
+// languages } with word boxes in the pixel coordinates of `buf`.
+// options.languages forces the OCR languages; options.hintText and
+// options.detected (see resolveOcrLanguages) help pick them.
+async function ocrBuffer(buf, isChart = false, options = {}) {
+  let languages = options.languages || DEFAULT_OCR_LANGUAGES;
+  // Duration and confidence are recorded for whichever attempt succeeds
+  const endTimer = ocrPageDuration.startTimer();
+  const done = result => {
+    endTimer({ language: result.languages.join('+') });
+    ocrConfidence.observe(result.confidence || 0);
+    return result;
+  };
   try {
     // Get image metadata first to make smart decisions
     const image = sharp(buf);
@@ -63,7 +182,7 @@ async function ocrBuffer(buf, isChart = false) {
     let targetHeight = Math.min(metadata.height || 1000, 1500);
     
     // Single, optimized preprocessing pipeline
-    const processedBuffer = await image
+    const processed = await image
       .resize(targetWidth, targetHeight, { 
         fit: 'inside',
         withoutEnlargement: true 
@@ -72,47 +191,173 @@ async function ocrBuffer(buf, isChart = false) {
       .normalize() // Auto-adjust contrast
       .sharpen({ sigma: 1.0 }) // Light sharpening
       .png({ quality: 90 }) // Use PNG for better OCR
-      .toBuffer();
+      .toBuffer({ resolveWithObject: true });
+    const processedBuffer = processed.data;
 
-    console.log(`OCR processing image: ${targetWidth}x${targetHeight}px`);
+    languages = await resolveOcrLanguages(processedBuffer, options);
+    checkTraineddata(languages);
+    logger.debug('OCR processing image', { width: targetWidth, height: targetHeight, languages: languages.join('+') });
 
     // Single, optimized Tesseract configuration
-    const { data: { text, confidence } } = await Tesseract.recognize(processedBuffer, 'eng', {
-      logger: () => {},
+    const { data: { text, confidence, words } } = await Tesseract.recognize(processedBuffer, languages.join('+'), {
+      ...tesseractOptions(),
       tessedit_pageseg_mode: isChart ? Tesseract.PSM.AUTO : Tesseract.PSM.SINGLE_BLOCK,
       tessedit_ocr_engine_mode: Tesseract.OEM.LSTM_ONLY,
-      // Speed optimizations
-      tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 .,!?@()[]{}:;-_/\\%$#&+=*"\'',
       preserve_interword_spaces: 1
     });
 
-    console.log(`OCR completed with ${confidence}% confidence`);
-    
-    // Quick text cleaning (much simpler than before)
-    const cleanedText = text
-      .replace(/\s+/g, ' ')
-      .replace(/[^\w\s.,!?@()-:\/&%]/g, ' ')
-      .trim();
-    
-    return cleanedText;
+    logger.debug('OCR completed', { confidence });
+
+    return done({
+      text: cleanText(text),
+      words: ocrWords(words, (metadata.width || processed.info.width) / processed.info.width),
+      confidence,
+      languages
+    });
     
   } catch (error) {
-    console.warn('Fast OCR failed, using basic fallback:', error.message);
+    if (error.code === 'ETESSDATA') throw error;
+    logger.warn('Fast OCR failed, using basic fallback', { error: error.message });
     
     // Ultra-simple fallback
     try {
-      const { data: { text } } = await Tesseract.recognize(buf, 'eng', {
-        logger: () => {},
+      const { data: { text, confidence, words } } = await Tesseract.recognize(buf, languages.join('+'), {
+        ...tesseractOptions(),
         tessedit_pageseg_mode: Tesseract.PSM.AUTO
       });
-      return text?.replace(/\s+/g, ' ').trim() || '';
+      return done({ text: cleanText(text || ''), words: ocrWords(words), confidence, languages });
     } catch (fallbackError) {
-      console.error('All OCR attempts failed:', fallbackError);
-      return '';
+      logger.error('All OCR attempts failed', fallbackError);
+      ocrFailures.inc();
+      endTimer({ language: languages.join('+') });
+      return { text: '', words: [], confidence: 0, languages };
     }
   }
 }
 
+// Text layer of one PDF page, one line per pdfjs end-of-line marker, plus
+// its words with boxes in PDF points
+async function extractPageText(page) {
+  const content = await page.getTextContent();
+  const text = content.items
+    .map(item => (item.str || '') + (item.hasEOL ? '\n' : ' '))
+    .join('')
+    .split('\n')
+    .map(line => line.normalize('NFC').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+  const words = wordsFromTextItems(content.items, page.getViewport({ scale: 1 }), pdfjsLib.Util);
+  return { text, words };
+}
+
+function countTextChars(text) {
+  return (text || '').replace(/\s+/g, '').length;
+}
+
+// Render one PDF page to a PNG buffer (OCR and previews). `draw(context, scale)`
+// can paint on top of the rendered page before encoding.
+export async function renderPage(page, { scale = PAGE_RENDER_SCALE, draw } = {}) {
+  const endTimer = pdfRenderDuration.startTimer();
+  const viewport = page.getViewport({ scale });
+  const canvasFactory = new NodeCanvasFactory();
+  const canvasAndContext = canvasFactory.create(viewport.width, viewport.height);
+
+  try {
+    const renderContext = {
+      canvasContext: canvasAndContext.context,
+      viewport,
+      canvasFactory,
+      background: 'rgba(255,255,255,1)'
+    };
+
+    await page.render(renderContext).promise;
+    draw?.(canvasAndContext.context, scale);
+    return canvasAndContext.canvas.toBuffer('image/png');
+  } finally {
+    canvasFactory.destroy(canvasAndContext);
+    endTimer();
+  }
+}
+
+// Text layer first, then OCR words when the layer doesn't already contain them
+function mergePageWords(layerWords, ocrWords) {
+  if (!ocrWords.length) return layerWords;
+  if (!layerWords.length) return ocrWords;
+
+  const normalize = words => words.map(w => w.text.toLowerCase()).join(' ');
+  if (normalize(layerWords).includes(normalize(ocrWords))) return layerWords;
+  return [...layerWords, ...ocrWords];
+}
+
+export function loadPdf(pdfBuffer) {
+  return pdfjsLib.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    useWorkerFetch: false,
+    isEvalSupported: false,
+    disableWorker: true,
+    canvasFactory: new NodeCanvasFactory()
+  }).promise;
+}
+
+// Table chunks for the tables detected among a page's words, plus the words
+// left over for regular text chunking
+async function extractTables(words, { source, page, pageSize, extraction }) {
+  if (!TABLE_DETECTION || !words.length) return { tableRecords: [], words };
+
+  const tables = detectTables(words);
+  if (!tables.length) return { tableRecords: [], words };
+
+  const tableWords = new Set(tables.flatMap(t => t.words));
+  const tableRecords = [];
+  for (const table of tables) {
+    tableRecords.push(...await chunkTableCSV(toCSV([table.header, ...table.rows]), {
+      source,
+      page,
+      metadata: { boxes: [table.bbox], pageSize, extraction }
+    }));
+  }
+  logger.debug('Detected tables', { page: page ?? 1, tables: tables.length });
+
+  return { tableRecords, words: words.filter(w => !tableWords.has(w)) };
+}
+
+// OCR'd pages use the chart_ocr classification; text-layer pages need an
+// explicit chart vocabulary before paying for a render
+function isChartPage(text, ocrUsed) {
+  if (!CHART_ANALYSIS || !text) return false;
+  if (ocrUsed) return classifyKind(text.toLowerCase()) === 'chart_ocr';
+  return /\b(chart|graph|figure|legend|axis)\b/i.test(text);
+}
+
+// A `chart` chunk with the structured data in metadata.chart and a textual
+// rendering as its text. words are in the image's pixels; boxScale maps them
+// back to page coordinates.
+async function extractChart(imageBuffer, words, { source, page, pageSize, extraction, boxScale = 1 }) {
+  try {
+    const chart = await analyzeChart(imageBuffer, words);
+    if (!chart) return null;
+
+    logger.debug('Recovered chart', { page: page ?? 1, title: chart.title || 'untitled', points: chart.series.reduce((n, s) => n + s.points.length, 0) });
+    const region = words.length ? [[
+      Math.min(...words.map(w => w.bbox[0])) * boxScale,
+      Math.min(...words.map(w => w.bbox[1])) * boxScale,
+      Math.max(...words.map(w => w.bbox[2])) * boxScale,
+      Math.max(...words.map(w => w.bbox[3])) * boxScale
+    ]] : [];
+
+    return {
+      source,
+      page,
+      type: 'chart',
+      text: renderChartText(chart),
+      metadata: { chart, boxes: region, pageSize, extraction }
+    };
+  } catch (error) {
+    logger.warn('Chart analysis failed', { page: page ?? 1, error: error.message });
+    return null;
+  }
+}
+
 function classifyKind(textLower) {
   const chartWords = ['figure', 'chart', 'axis', 'x-axis', 'y-axis', 'legend', 'graph', 'plot', 'data', 'trend'];
   const certWords = ['certificate', 'certification', 'awarded', 'presented', 'issued', 'diploma', 'achievement'];
@@ -124,119 +369,210 @@ function classifyKind(textLower) {
   return 'image_ocr';
 }
 
-export async function processFileAndIndex(filePath, docId, mimetype, progressCallback) {
-  const ext = path.extname(filePath).toLowerCase();
+// DOCX, XLSX, CSV, HTML, Markdown and plain text: tables become table chunks,
+// sections are chunked with their heading path in front for retrieval context
+async function extractStructured(filePath, format, { chunking } = {}) {
+  const { sections, tables } = await extractDocument(format, filePath);
+  const records = [];
+
+  for (const table of tables) {
+    const headings = table.headings || [];
+    records.push(...await chunkTableCSV(toCSV([table.header, ...table.rows]), {
+      source: filePath,
+      page: null,
+      metadata: { extraction: format, ...(table.name && { sheet: table.name }), ...(headings.length && { headings }) }
+    }));
+  }
+
+  for (const { headings, text } of sections) {
+    const body = headings.length ? `${headings.join(' > ')}\n\n${text}` : text;
+    const chunks = await chunkText(body, { source: filePath, page: null, type: 'text', strategy: chunking });
+    records.push(...chunks.map(chunk => ({
+      ...chunk,
+      metadata: { ...chunk.metadata, extraction: format, ...(headings.length && { headings }) }
+    })));
+  }
+
+  logger.debug('Extracted structured document', { format, sections: sections.length, tables: tables.length });
+  return records;
+}
+
+// options.signal aborts processing between pages/steps (job cancellation or
+// timeout); options.onStage(stage, current, total) reports structured progress;
+// options.ocrMinTextChars overrides the sparse text layer threshold;
+// options.chunking picks the chunking strategy (see resolveChunkStrategy);
+// options.languages forces the OCR languages (default: detected per page);
+// options.tenant is stored on every chunk (searches are scoped to it);
+// options.replace swaps out docId's existing chunks instead of adding to them;
+// options.keepFile leaves filePath on disk afterwards
+export async function processFileAndIndex(filePath, docId, mimetype, progressCallback, { signal, onStage, ocrMinTextChars, chunking, languages = null, tenant = null, replace = false, keepFile = false } = {}) {
+  const minTextChars = ocrMinTextChars ?? OCR_MIN_TEXT_CHARS;
   let records = [];
+  // Text seen so far; hints OCR language detection on later pages
+  let textSample = '';
+  // Script detection result, shared by the document's OCR pages
+  const detected = {};
 
   try {
-    if (mimetype === 'application/pdf' || ext === '.pdf') {
-      const pdfBuffer = fs.readFileSync(filePath);
+    signal?.throwIfAborted();
+    onStage?.('extracting', 0, 0);
+    const { format } = await detectFormat(filePath, { filename: path.basename(filePath), mimetype });
 
-      // Extract plain text
-      const data = await pdfParse(pdfBuffer);
-      const text = data.text || '';
-      if (text.trim()) {
-        records.push(...chunkText(text, { source: filePath, page: null, type: 'text' }));
-      }
+    if (format === 'pdf') {
+      const pdfBuffer = fs.readFileSync(filePath);
 
-      // Render pages for OCR
-      const loadingTask = pdfjsLib.getDocument({
-        data: new Uint8Array(pdfBuffer),
-        useWorkerFetch: false,
-        isEvalSupported: false,
-        disableWorker: true,
-        canvasFactory: new NodeCanvasFactory()
-      });
-      
-      const pdf = await loadingTask.promise;
+      const pdf = await loadPdf(pdfBuffer);
+      let ocrPages = 0;
 
       for (let p = 1; p <= pdf.numPages; p++) {
+        signal?.throwIfAborted();
+        onStage?.('extracting', p, pdf.numPages);
         try {
           const page = await pdf.getPage(p);
-          const viewport = page.getViewport({ scale: 2.0 }); // Reduced from 2.5 to 2.0
-          const canvasFactory = new NodeCanvasFactory();
-          const canvasAndContext = canvasFactory.create(viewport.width, viewport.height);
-          
-          const renderContext = {
-            canvasContext: canvasAndContext.context,
-            viewport,
-            canvasFactory,
-            background: 'rgba(255,255,255,1)'
-          };
-          
-          await page.render(renderContext).promise;
-
-          const buf = canvasAndContext.canvas.toBuffer('image/png');
-          
-          // Determine if this might be a chart page
-          const isChart = text.toLowerCase().includes('chart') || text.toLowerCase().includes('graph');
-          const ocrText = await ocrBuffer(buf, isChart);
-          
-          if (ocrText.trim() && ocrText.length > 5) { // Only save meaningful text
-            const kind = classifyKind(ocrText.toLowerCase());
-            records.push(...chunkText(ocrText, { source: filePath, page: p, type: kind }));
+          const { width, height } = page.getViewport({ scale: 1 });
+          const pageSize = { width: Math.round(width), height: Math.round(height) };
+          const layer = await extractPageText(page);
+
+          // OCR only pages whose text layer is empty or too sparse (scans, images)
+          let ocr = { text: '', words: [] };
+          let pageImage = null;
+          if (countTextChars(layer.text) < minTextChars) {
+            onStage?.('ocr', p, pdf.numPages);
+            ocrPages++;
+            pageImage = await renderPage(page);
+            // Determine if this might be a chart page
+            const isChart = /chart|graph/i.test(layer.text);
+            ocr = await ocrBuffer(pageImage, isChart, { languages, hintText: `${textSample} ${layer.text}`, detected });
+            // Rendered pixels -> PDF points
+            ocr.words = scaleWords(ocr.words, 1 / PAGE_RENDER_SCALE);
+          }
+
+          const extraction = ocr.words.length
+            ? (layer.words.length ? 'text_layer+ocr' : 'ocr')
+            : 'text_layer';
+          const pageWords = mergePageWords(layer.words, ocr.words);
+          const { tableRecords, words } = await extractTables(pageWords, {
+            source: filePath, page: p, pageSize, extraction
+          });
+          records.push(...tableRecords);
+
+          const { text: pageText, spans } = layoutText(words);
+          if (textSample.length < 4000) textSample += ` ${pageText.slice(0, 4000)}`;
+          if (isChartPage(pageText, ocr.words.length > 0)) {
+            pageImage = pageImage || await renderPage(page);
+            // Analysis runs in rendered pixels; PDF points scale up by the render scale
+            const chartRecord = await extractChart(pageImage, scaleWords(pageWords, PAGE_RENDER_SCALE), {
+              source: filePath, page: p, pageSize, extraction, boxScale: 1 / PAGE_RENDER_SCALE
+            });
+            if (chartRecord) records.push(chartRecord);
+          }
+
+          if (pageText.trim() && pageText.length > 5) { // Only save meaningful text
+            const kind = ocr.words.length ? classifyKind(pageText.toLowerCase()) : 'text';
+            const chunks = await chunkText(pageText, { source: filePath, page: p, type: kind, strategy: chunking, words, spans, pageSize });
+            records.push(...chunks.map(chunk => ({ ...chunk, metadata: { ...chunk.metadata, extraction } })));
           }
-          
-          canvasFactory.destroy(canvasAndContext);
         } catch (pageError) {
-          console.warn(`Failed to process page ${p}:`, pageError.message);
+          // Every other OCR page would fail the same way
+          if (pageError.code === 'ETESSDATA') throw pageError;
+          logger.warn('Failed to process page', { page: p, error: pageError.message });
           progressCallback?.('error', '⚠️', `Failed to process page ${p}: ${pageError.message}`);
           continue; // Skip this page and continue with others
         }
       }
-    } else {
+
+      progressCallback?.('info', '📄', `Extracted ${pdf.numPages} page(s), OCR needed on ${ocrPages}`);
+    } else if (format === 'image') {
       // Direct image OCR processing
+      onStage?.('ocr', 1, 1);
       const buf = fs.readFileSync(filePath);
+      const { width, height } = await sharp(buf).metadata();
       const isChart = path.basename(filePath).toLowerCase().includes('chart');
-      const ocrText = await ocrBuffer(buf, isChart);
-      
-      if (ocrText.trim() && ocrText.length > 5) {
-        const kind = classifyKind(ocrText.toLowerCase());
-        records.push(...chunkText(ocrText, { source: filePath, page: null, type: kind }));
+      const ocr = await ocrBuffer(buf, isChart, { languages });
+
+      const pageSize = { width, height };
+      const { tableRecords, words } = await extractTables(ocr.words, { source: filePath, page: null, pageSize, extraction: 'ocr' });
+      records.push(...tableRecords);
+      const layout = words.length ? { ...layoutText(words), words, pageSize } : { text: ocr.text };
+      const { text } = layout;
+
+      if (isChartPage(text, true)) {
+        const chartRecord = await extractChart(buf, ocr.words, { source: filePath, page: null, pageSize, extraction: 'ocr' });
+        if (chartRecord) records.push(chartRecord);
       }
+
+      if (text.trim() && text.length > 5) {
+        const kind = classifyKind(text.toLowerCase());
+        const chunks = await chunkText(text, { ...layout, source: filePath, page: null, type: kind, strategy: chunking });
+        records.push(...chunks.map(chunk => ({ ...chunk, metadata: { ...chunk.metadata, extraction: 'ocr' } })));
+      }
+    } else {
+      records = await extractStructured(filePath, format, { chunking });
+      progressCallback?.('info', '📑', `Extracted ${records.length} chunk(s) from ${format.toUpperCase()}`);
     }
 
+    // A re-ingest that finds nothing keeps the chunks it would have replaced
+    if (!records.length && replace) throw new Error('Re-ingest produced no chunks; existing chunks kept');
     if (!records.length) return { count: 0 };
 
     // Filter out very short or meaningless chunks
     const meaningfulRecords = records.filter(record => 
       record.text && 
       record.text.trim().length > 10 && 
-      !/^[^a-zA-Z]*$/.test(record.text) // Not just symbols/numbers
+      /\p{L}/u.test(record.text) // Not just symbols/numbers
     );
+    for (const record of meaningfulRecords) {
+      record.lang = detectLanguage(record.text);
+    }
 
+    if (!meaningfulRecords.length && replace) throw new Error('Re-ingest produced no chunks; existing chunks kept');
     if (!meaningfulRecords.length) return { count: 0 };
 
     // Embed and save to MongoDB with progress callbacks
+    signal?.throwIfAborted();
+    onStage?.('embedding', 0, meaningfulRecords.length);
     const texts = meaningfulRecords.map(r => r.text);
-    const vectors = await embedTexts(texts, progressCallback);
-    const docs = meaningfulRecords.map((r, i) => ({
-      ...r,
-      docId,
-      vector: vectors[i]
-    }));
+    const vectors = await embedTexts(texts, progressCallback, {
+      signal,
+      onProgress: (done, total) => onStage?.('embedding', done, total)
+    });
+    // Chunks whose embedding failed are left out rather than indexed with a bogus vector
+    const { model: embeddingModel, dimensions: embeddingDimensions } = getEmbeddingModelInfo();
+    const docs = meaningfulRecords
+      .map((r, i) => ({ ...r, docId, tenant, vector: vectors[i], embeddingModel, embeddingDimensions }))
+      .filter(doc => doc.vector);
+    const failedEmbeddings = meaningfulRecords.length - docs.length;
+    if (!docs.length) throw new Error('No chunks could be embedded');
 
     progressCallback?.('success', '✅', `Ingested ${docs.length} chunks`);
-    console.log(`✅ Ingested ${docs.length} chunks.`);
-    
-    if (vectors.length > 0) {
-      progressCallback?.('info', '🔢', `Embedding vector size: ${vectors[0].length}`);
-      console.log(`🔢 Embedding vector size: ${vectors[0].length}`);
-    }
+    progressCallback?.('info', '🔢', `Embedding vector size: ${docs[0].vector.length}`);
 
-    await Chunk.insertMany(docs);
-    return { count: docs.length };
+    // Last point where cancellation leaves nothing behind in the index
+    signal?.throwIfAborted();
+    onStage?.('indexing', docs.length, docs.length);
+    if (replace) {
+      await getVectorStore().replace(docId, docs, tenant);
+    } else {
+      await getVectorStore().index(docs);
+    }
+    const byType = {};
+    for (const { type = 'text' } of docs) byType[type] = (byType[type] || 0) + 1;
+    for (const [type, count] of Object.entries(byType)) ingestedChunks.inc({ type }, count);
+    logger.info('Indexed chunks', { chunks: docs.length, failedEmbeddings, dimensions: docs[0].vector.length, types: byType });
+    return { count: docs.length, failedEmbeddings };
   } finally {
-    // Cleanup uploaded file
-    try {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        progressCallback?.('success', '🗑️', `Deleted uploaded file: ${path.basename(filePath)}`);
-        console.log(`🗑️ Deleted uploaded file: ${filePath}`);
+    // Cleanup uploaded file unless the caller keeps it (document storage)
+    if (!keepFile) {
+      try {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+          progressCallback?.('success', '🗑️', `Deleted uploaded file: ${path.basename(filePath)}`);
+          logger.debug('Deleted uploaded file', { file: path.basename(filePath) });
+        }
+      } catch (err) {
+        logger.warn('Failed to delete uploaded file', { file: filePath, error: err.message });
+        progressCallback?.('error', '⚠️', `Failed to delete file: ${path.basename(filePath)}`);
       }
-    } catch (err) {
-      console.warn(`⚠️ Failed to delete file: ${filePath}`, err);
-      progressCallback?.('error', '⚠️', `Failed to delete file: ${path.basename(filePath)}`);
     }
   }
 }
@@ -0,0 +1,437 @@
+import fs from 'fs';
+import os from 'os';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import Document from '../models/Document.js';
+import { processFileAndIndex } from './ingest.js';
+import { recordDocument, findDocumentByHash, newDocId } from './documents.js';
+import { getVectorStore } from './vectorStore.js';
+import { storeUpload, removeStoredFile, hashFile } from './storage.js';
+import { sendProgressUpdate, sendProgressEvent, closeProgressStream } from './progress.js';
+import { checkChunkQuota } from './quotas.js';
+import { createLogger, withLogContext } from './logger.js';
+import { ingestionJobs } from './metrics.js';
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+const POLL_MS = Number(process.env.JOB_POLL_MS || 2000);
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 1);
+const JOB_TIMEOUT_MS = Number(process.env.JOB_TIMEOUT_MS || 240000); // 4 minutes
+const HEARTBEAT_MS = 5000;
+const STALE_MS = Number(process.env.JOB_STALE_MS || 60000); // running without heartbeat => interrupted
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 2);
+// Jobs of one tenant running at once across all workers, so a single client
+// can't hold every worker (0: no limit)
+const TENANT_CONCURRENCY = Number(process.env.JOB_TENANT_CONCURRENCY ?? 2);
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+export const DUPLICATE_POLICIES = ['skip', 'replace', 'version'];
+
+// AbortControllers of jobs running in this process
+const running = new Map();
+let pollTimer = null;
+
+const logger = createLogger('jobs');
+let started = false;
+let lastRecovery = 0;
+
+function notFound(message = 'Job not found') {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+export function toJobResponse(job) {
+  return {
+    id: job._id,
+    type: job.type,
+    docId: job.docId,
+    filename: job.filename,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    message: job.message,
+    error: job.error,
+    result: job.result,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// options are passed through to processFileAndIndex (e.g. { chunking })
+export async function enqueueIngestJob(file, { tenant, sessionId, docId, options = {}, contentHash, version, versionOf } = {}) {
+  const job = await Job.create({
+    docId: docId || newDocId(file.originalname),
+    tenant,
+    filename: file.originalname,
+    filePath: file.path,
+    mimetype: file.mimetype,
+    size: file.size,
+    contentHash,
+    version,
+    versionOf,
+    sessionId,
+    options
+  });
+  wakeWorker();
+  return job.toObject();
+}
+
+// What enqueueUpload does with an upload for the same tenant, given the
+// duplicate policy for content that is already ingested:
+//   skip    - leave the existing document alone, drop the upload
+//   replace - re-ingest the existing document, swapping its chunks
+//   version - ingest as a new document, one version above the latest
+// New content is `ingest`. Content that is still queued or running is skipped
+// whatever the policy: the job in flight produces that document, and a
+// second one would duplicate it (or race it for the same version number).
+// contentHash skips hashing the file again. Returns { action, contentHash,
+// existing, inFlight }
+export async function planUpload(file, { tenant, duplicate = 'skip', contentHash = null } = {}) {
+  contentHash ??= await hashFile(file.path);
+  const [existing, inFlight] = await Promise.all([
+    findDocumentByHash(contentHash, tenant),
+    Job.findOne({ contentHash, tenant, status: { $in: ACTIVE_STATUSES } }).lean()
+  ]);
+
+  let action = 'ingest';
+  if (inFlight || (existing && duplicate === 'skip')) action = 'skip';
+  else if (existing) action = duplicate;
+  return { action, contentHash, existing, inFlight };
+}
+
+// Queue an upload as planUpload decides at this moment, so a file repeated in
+// one request finds the job queued for its first copy.
+// Returns { job } or { skipped: { filename, docId, jobId? } }
+export async function enqueueUpload(file, { tenant, sessionId, options = {}, duplicate = 'skip', contentHash: knownHash = null } = {}) {
+  const { action, contentHash, existing, inFlight } = await planUpload(file, { tenant, duplicate, contentHash: knownHash });
+
+  if (action === 'skip') {
+    removeStoredFile(file.path);
+    return { skipped: { filename: file.originalname, docId: inFlight?.docId || existing.docId, jobId: inFlight?._id } };
+  }
+
+  if (action === 'replace') {
+    const job = await enqueueReingestJob(existing.docId, { tenant, sessionId, options, upload: file });
+    return { job };
+  }
+
+  if (action === 'version') {
+    const job = await enqueueIngestJob(file, {
+      tenant,
+      sessionId,
+      options,
+      contentHash,
+      version: (existing.version || 1) + 1,
+      versionOf: existing.versionOf || existing.docId
+    });
+    return { job };
+  }
+
+  return { job: await enqueueIngestJob(file, { tenant, sessionId, options, contentHash }) };
+}
+
+// Reprocess an existing document from its stored original with the current
+// pipeline settings. The new chunks replace the old ones in one swap once
+// indexing succeeds; until then (or on failure) the old chunks stay live.
+// options.upload is a fresh copy of the file, used if the original is gone.
+export async function enqueueReingestJob(docId, { tenant, sessionId, options = {}, upload = null } = {}) {
+  const document = await Document.findOne({ docId, tenant }).lean();
+  if (!document) throw notFound('Document not found');
+
+  const active = await Job.findOne({ docId, tenant, status: { $in: ACTIVE_STATUSES } }).lean();
+  if (active) {
+    const error = new Error(`Document ${docId} already has a ${active.status} job`);
+    error.status = 409;
+    throw error;
+  }
+
+  const hasOriginal = document.storagePath && fs.existsSync(document.storagePath);
+  if (hasOriginal) {
+    if (upload) removeStoredFile(upload.path);
+  } else if (!upload) {
+    const error = new Error('The original file of this document is no longer stored');
+    error.status = 409;
+    throw error;
+  }
+
+  const filePath = hasOriginal ? document.storagePath : upload.path;
+  const job = await Job.create({
+    type: 'reingest',
+    docId,
+    tenant,
+    filename: upload?.originalname || document.filename,
+    filePath,
+    fromUpload: !hasOriginal,
+    mimetype: document.mimetype || upload?.mimetype,
+    size: document.size ?? upload?.size,
+    contentHash: document.contentHash || await hashFile(filePath),
+    sessionId,
+    options
+  });
+  wakeWorker();
+  return job.toObject();
+}
+
+// Whether an unfinished job's file should be deleted: uploads are, a
+// re-ingest's file is the document's stored original unless it came with
+// the request
+function ownsFile(job) {
+  return job.type !== 'reingest' || job.fromUpload;
+}
+
+// Jobs of other tenants look like missing ones
+export async function getJob(id, tenant) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Job.findOne({ _id: id, tenant }).lean();
+}
+
+export async function listJobs({ status, limit = 50, tenant } = {}) {
+  const filter = status ? { status, tenant } : { tenant };
+  return Job.find(filter).sort({ createdAt: -1 }).limit(Math.min(Number(limit) || 50, 200)).lean();
+}
+
+// Queued jobs are cancelled right away; running ones are aborted at the next
+// page/step boundary (here, or by the owning worker through the heartbeat)
+export async function cancelJob(id, tenant) {
+  const job = await getJob(id, tenant);
+  if (!job) throw notFound();
+  if (!ACTIVE_STATUSES.includes(job.status)) {
+    const error = new Error(`Job is already ${job.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const cancelled = await Job.findOneAndUpdate(
+    { _id: id, status: 'queued' },
+    { $set: { status: 'cancelled', stage: 'done', message: 'Cancelled before start', finishedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (cancelled) {
+    if (ownsFile(cancelled)) removeStoredFile(cancelled.filePath);
+    notifySession(cancelled, 'error', '🛑', `Cancelled ${cancelled.filename}`);
+    await finishSessionIfIdle(cancelled.tenant, cancelled.sessionId);
+    return cancelled;
+  }
+
+  const updated = await Job.findByIdAndUpdate(id, { $set: { cancelRequested: true } }, { new: true }).lean();
+  running.get(String(id))?.abort(new Error('Job cancelled'));
+  return updated;
+}
+
+function notifySession(job, type, emoji, message) {
+  if (job.sessionId) {
+    sendProgressUpdate(job.tenant, job.sessionId, type, emoji, message);
+  } else {
+    logger.debug(message, { type });
+  }
+}
+
+// Close the upload's SSE stream once none of its jobs are pending
+async function finishSessionIfIdle(tenant, sessionId) {
+  if (!sessionId) return;
+  const pending = await Job.countDocuments({ tenant, sessionId, status: { $in: ACTIVE_STATUSES } });
+  if (!pending) {
+    closeProgressStream(tenant, sessionId, { type: 'complete' });
+  }
+}
+
+// Tenants already running TENANT_CONCURRENCY jobs
+async function busyTenants() {
+  if (!TENANT_CONCURRENCY) return [];
+  const counts = await Job.aggregate([
+    { $match: { status: 'running' } },
+    { $group: { _id: '$tenant', count: { $sum: 1 } } }
+  ]);
+  return counts.filter(c => c.count >= TENANT_CONCURRENCY).map(c => c._id);
+}
+
+async function claimNextJob() {
+  const busy = await busyTenants();
+  return Job.findOneAndUpdate(
+    busy.length ? { status: 'queued', tenant: { $nin: busy } } : { status: 'queued' },
+    {
+      $set: { status: 'running', workerId: WORKER_ID, startedAt: new Date(), heartbeatAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  ).lean();
+}
+
+async function runJob(job) {
+  const id = String(job._id);
+  const controller = new AbortController();
+  running.set(id, controller);
+
+  const timeout = setTimeout(() => controller.abort(new Error('File processing timeout')), JOB_TIMEOUT_MS);
+
+  // Keep the heartbeat fresh and pick up cancellations made by other processes
+  const heartbeat = setInterval(async () => {
+    try {
+      const current = await Job.findByIdAndUpdate(id, { $set: { heartbeatAt: new Date() } }, { new: true }).lean();
+      if (current?.cancelRequested) controller.abort(new Error('Job cancelled'));
+    } catch (err) {
+      logger.warn('Job heartbeat failed', { error: err.message });
+    }
+  }, HEARTBEAT_MS);
+
+  let lastStage = null;
+  let lastStageWrite = 0;
+  const onStage = (stage, current, total) => {
+    sendProgressEvent(job.tenant, job.sessionId, { type: 'job', jobId: id, stage, current, total });
+    // Throttle progress writes; stage changes always go through
+    const now = Date.now();
+    if (stage === lastStage && now - lastStageWrite < 1000) return;
+    lastStage = stage;
+    lastStageWrite = now;
+    Job.updateOne({ _id: id }, { $set: { stage, progress: { current, total } } })
+      .catch(err => logger.warn('Failed to update job progress', { error: err.message }));
+  };
+  const progressCallback = (type, emoji, message) => {
+    notifySession(job, type, emoji, message);
+    Job.updateOne({ _id: id }, { $set: { message } }).catch(() => {});
+  };
+
+  // Re-ingests swap chunks atomically, so a failure leaves the document as it was
+  const reingest = job.type === 'reingest';
+
+  notifySession(job, 'processing', '🔄', `${reingest ? 'Re-ingesting' : 'Processing'} file: ${job.filename}`);
+
+  let storagePath = job.filePath;
+  try {
+    // Re-ingests replace chunks rather than add them
+    if (!reingest) await checkChunkQuota(job.tenant);
+
+    // Keep the original next to its chunks for page previews
+    storagePath = storeUpload(job.filePath, job.docId);
+    if (storagePath !== job.filePath) {
+      await Job.updateOne({ _id: id }, { $set: { filePath: storagePath } });
+    }
+
+    const result = await processFileAndIndex(storagePath, job.docId, job.mimetype, progressCallback, {
+      signal: controller.signal,
+      onStage,
+      chunking: job.options?.chunking,
+      languages: job.options?.languages,
+      tenant: job.tenant,
+      replace: reingest,
+      keepFile: true
+    });
+
+    await recordDocument({
+      docId: job.docId,
+      tenant: job.tenant,
+      filename: job.filename,
+      mimetype: job.mimetype,
+      size: job.size,
+      storagePath,
+      chunkCount: result.count || 0,
+      contentHash: job.contentHash,
+      version: job.version,
+      versionOf: job.versionOf
+    });
+    await Job.updateOne({ _id: id }, {
+      $set: { status: 'completed', stage: 'done', result, finishedAt: new Date(), message: `Ingested ${result.count || 0} chunks` }
+    });
+    ingestionJobs.inc({ type: job.type || 'ingest', status: 'completed' });
+    logger.info('Job completed', { filename: job.filename, chunks: result.count || 0, failedEmbeddings: result.failedEmbeddings || 0 });
+    notifySession(job, 'success', '🎉', `Processing complete for ${job.filename}! Total chunks: ${result.count || 0}`);
+  } catch (error) {
+    const aborted = controller.signal.aborted;
+    const reason = aborted ? controller.signal.reason?.message || 'Job cancelled' : error.message;
+    const cancelled = aborted && reason === 'Job cancelled';
+
+    ingestionJobs.inc({ type: job.type || 'ingest', status: cancelled ? 'cancelled' : 'failed' });
+    if (cancelled) logger.info('Job cancelled', { filename: job.filename });
+    else logger.error('Job failed', { filename: job.filename, error: reason });
+    // Nothing should be indexed or stored for an unfinished job
+    if (!reingest) await getVectorStore().remove(job.docId, job.tenant).catch(() => {});
+    if (ownsFile(job)) removeStoredFile(storagePath);
+    await Job.updateOne({ _id: id }, {
+      $set: {
+        status: cancelled ? 'cancelled' : 'failed',
+        stage: 'done',
+        error: cancelled ? undefined : reason,
+        message: cancelled ? 'Cancelled' : `Error: ${reason}`,
+        finishedAt: new Date()
+      }
+    });
+    notifySession(job, 'error', cancelled ? '🛑' : '❌', cancelled ? `Cancelled ${job.filename}` : `Error: ${reason}`);
+  } finally {
+    clearTimeout(timeout);
+    clearInterval(heartbeat);
+    running.delete(id);
+    await finishSessionIfIdle(job.tenant, job.sessionId).catch(() => {});
+  }
+}
+
+async function poll() {
+  pollTimer = null;
+  try {
+    // Jobs of a process that died recently only go stale after STALE_MS
+    if (Date.now() - lastRecovery > STALE_MS) {
+      await recoverInterruptedJobs();
+    }
+    while (running.size < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+      withLogContext({ jobId: String(job._id), docId: job.docId, tenant: job.tenant }, () => runJob(job), { inherit: false })
+        .finally(wakeWorker);
+    }
+  } catch (err) {
+    logger.warn('Job polling failed', { error: err.message });
+  }
+  if (started && !pollTimer) pollTimer = setTimeout(poll, POLL_MS);
+}
+
+function wakeWorker() {
+  if (!started) return;
+  if (pollTimer) clearTimeout(pollTimer);
+  pollTimer = setTimeout(poll, 0);
+}
+
+// Jobs left `running` by a dead process (stale heartbeat) are requeued when
+// their upload is still on disk and attempts remain, otherwise marked failed
+export async function recoverInterruptedJobs() {
+  lastRecovery = Date.now();
+  const staleBefore = new Date(Date.now() - STALE_MS);
+  const interrupted = await Job.find({
+    status: 'running',
+    $or: [{ heartbeatAt: { $lt: staleBefore } }, { heartbeatAt: null }]
+  }).lean();
+
+  for (const job of interrupted) {
+    const reingest = job.type === 'reingest';
+    if (!reingest) await getVectorStore().remove(job.docId, job.tenant).catch(() => {});
+    const canResume = job.attempts < MAX_ATTEMPTS && !job.cancelRequested && job.filePath && fs.existsSync(job.filePath);
+    if (canResume) {
+      await Job.updateOne({ _id: job._id, status: 'running' }, {
+        $set: { status: 'queued', stage: 'queued', progress: { current: 0, total: 0 }, message: 'Requeued after interruption' }
+      });
+      logger.info('Requeued interrupted job', { jobId: String(job._id), filename: job.filename });
+    } else {
+      await Job.updateOne({ _id: job._id, status: 'running' }, {
+        $set: {
+          status: job.cancelRequested ? 'cancelled' : 'failed',
+          stage: 'done',
+          error: job.cancelRequested ? undefined : 'Interrupted by server restart',
+          finishedAt: new Date()
+        }
+      });
+      if (ownsFile(job)) removeStoredFile(job.filePath);
+      ingestionJobs.inc({ type: job.type || 'ingest', status: job.cancelRequested ? 'cancelled' : 'failed' });
+      logger.warn('Marked interrupted job as finished', { jobId: String(job._id), filename: job.filename, status: job.cancelRequested ? 'cancelled' : 'failed' });
+    }
+  }
+  return interrupted.length;
+}
+
+// Start polling the queue in this process (once)
+export async function startJobWorker() {
+  if (started) return;
+  started = true;
+  logger.info('Ingestion worker started', { workerId: WORKER_ID, concurrency: CONCURRENCY });
+  wakeWorker();
+}
@@ -0,0 +1,119 @@
+import { tokenize } from './lexical.js';
+
+// Language codes are Tesseract traineddata names (eng, hin, fra, chi_sim, ...)
+// so the same values drive OCR and what gets stored on chunks.
+
+// Default language per Unicode script (Latin is refined by stopwords)
+const SCRIPT_LANGUAGES = {
+  Latin: 'eng',
+  Devanagari: 'hin',
+  Bengali: 'ben',
+  Gurmukhi: 'pan',
+  Gujarati: 'guj',
+  Tamil: 'tam',
+  Telugu: 'tel',
+  Kannada: 'kan',
+  Malayalam: 'mal',
+  Cyrillic: 'rus',
+  Greek: 'ell',
+  Arabic: 'ara',
+  Hebrew: 'heb',
+  Thai: 'tha',
+  Han: 'chi_sim',
+  Hiragana: 'jpn',
+  Katakana: 'jpn',
+  Hangul: 'kor'
+};
+
+// Script names reported by Tesseract OSD that aren't Unicode script names
+const OSD_SCRIPTS = { Japanese: 'jpn', Korean: 'kor', HanS: 'chi_sim', HanT: 'chi_tra', Fraktur: 'deu' };
+
+const SCRIPT_PATTERNS = Object.keys(SCRIPT_LANGUAGES).map(script => [script, new RegExp(`\\p{Script=${script}}`, 'gu')]);
+
+const STOPWORDS = {
+  eng: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'for', 'with', 'on', 'are', 'this'],
+  fra: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'dans', 'pour', 'que', 'du', 'sur'],
+  deu: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'ein', 'zu', 'den', 'von', 'für'],
+  spa: ['el', 'los', 'las', 'y', 'es', 'en', 'que', 'del', 'por', 'con', 'una', 'para'],
+  ita: ['il', 'di', 'che', 'e', 'per', 'non', 'un', 'del', 'sono', 'della', 'con', 'gli'],
+  por: ['o', 'os', 'de', 'que', 'e', 'não', 'em', 'para', 'uma', 'com', 'do', 'da'],
+  nld: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'op', 'voor', 'met', 'zijn']
+};
+
+const LANGUAGE_CODE = /^[a-z]{3}(_[a-z]+)?$/;
+
+// Letter counts per script, most frequent first: [[script, count], ...]
+export function detectScripts(text = '') {
+  return SCRIPT_PATTERNS
+    .map(([script, pattern]) => [script, (text.match(pattern) || []).length])
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1]);
+}
+
+function guessLatinLanguage(text) {
+  const words = tokenize(text);
+  let best = 'eng';
+  let bestHits = 0;
+  for (const [language, stopwords] of Object.entries(STOPWORDS)) {
+    const set = new Set(stopwords);
+    const hits = words.filter(w => set.has(w)).length;
+    if (hits > bestHits) {
+      best = language;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+function languageForScript(script, text) {
+  return script === 'Latin' ? guessLatinLanguage(text) : SCRIPT_LANGUAGES[script];
+}
+
+// Main language of a text, or null when it has no letters
+export function detectLanguage(text = '') {
+  const [top] = detectScripts(text);
+  return top ? languageForScript(top[0], text) : null;
+}
+
+// Every language with a meaningful share (minShare of the letters) of the text
+export function languagesForText(text = '', minShare = 0.1) {
+  const scripts = detectScripts(text);
+  const total = scripts.reduce((sum, [, count]) => sum + count, 0);
+  const languages = scripts
+    .filter(([, count]) => count / total >= minShare)
+    .map(([script]) => languageForScript(script, text));
+  return [...new Set(languages)];
+}
+
+// Languages for a script name reported by Tesseract OSD
+export function languagesForScript(script) {
+  const language = OSD_SCRIPTS[script] || SCRIPT_LANGUAGES[script];
+  return language ? [language] : [];
+}
+
+// Per-upload language option: "eng+hin", "eng,hin" or an array. Empty or
+// "auto" means automatic detection (null).
+export function parseLanguages(value) {
+  if (!value || value === 'auto') return null;
+  const languages = (Array.isArray(value) ? value : String(value).split(/[+,\s]+/))
+    .map(l => String(l).trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = languages.filter(l => !LANGUAGE_CODE.test(l));
+  if (invalid.length) {
+    const error = new Error(`Invalid OCR language(s): ${invalid.join(', ')}. Use Tesseract codes such as eng, hin, fra or chi_sim`);
+    error.status = 400;
+    throw error;
+  }
+  return languages.length ? [...new Set(languages)] : null;
+}
+
+// Unicode-safe cleanup: keeps letters (with combining marks, e.g. Devanagari
+// vowel signs), digits, punctuation and symbols (currencies); drops control
+// and other invisible characters and collapses whitespace
+export function cleanText(text = '') {
+  return text
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{M}\p{N}\p{P}\p{S}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
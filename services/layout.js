@@ -0,0 +1,95 @@
+// Word geometry helpers. Boxes are [x0, y0, x1, y1] in page coordinates with
+// a top-left origin: PDF points (scale 1 viewport) for PDFs, pixels for images.
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Split pdfjs text items into words, each with a box proportional to its
+// character span inside the item
+export function wordsFromTextItems(items, viewport, Util) {
+  const words = [];
+  for (const item of items) {
+    const str = item.str || '';
+    if (!str.trim()) continue;
+
+    const tx = Util.transform(viewport.transform, item.transform);
+    const fontHeight = Math.hypot(tx[2], tx[3]);
+    const x = tx[4];
+    const y = tx[5];
+    const width = item.width * viewport.scale;
+
+    for (const match of str.matchAll(/\S+/g)) {
+      const start = match.index / str.length;
+      const end = (match.index + match[0].length) / str.length;
+      words.push({
+        text: match[0].normalize('NFC'), // comparable with normalized queries
+        bbox: [round(x + width * start), round(y - fontHeight), round(x + width * end), round(y)]
+      });
+    }
+  }
+  return words;
+}
+
+// Scale boxes from one coordinate space into another (e.g. OCR pixels -> PDF points)
+export function scaleWords(words, scaleX, scaleY = scaleX) {
+  return words.map(w => ({
+    ...w,
+    bbox: [round(w.bbox[0] * scaleX), round(w.bbox[1] * scaleY), round(w.bbox[2] * scaleX), round(w.bbox[3] * scaleY)]
+  }));
+}
+
+// Collapse consecutive word boxes on the same line into one box per line run,
+// which keeps chunk metadata small
+export function mergeLineBoxes(boxes) {
+  const merged = [];
+  for (const box of boxes) {
+    const last = merged[merged.length - 1];
+    if (last) {
+      const overlap = Math.min(last[3], box[3]) - Math.max(last[1], box[1]);
+      const minHeight = Math.min(last[3] - last[1], box[3] - box[1]);
+      const sameLine = overlap > 0.5 * minHeight && box[0] >= last[0] - 1;
+      if (sameLine) {
+        last[0] = Math.min(last[0], box[0]);
+        last[1] = Math.min(last[1], box[1]);
+        last[2] = Math.max(last[2], box[2]);
+        last[3] = Math.max(last[3], box[3]);
+        continue;
+      }
+    }
+    merged.push([...box]);
+  }
+  return merged;
+}
+
+// Join positioned words into page text, keeping line breaks (and blank lines
+// for paragraph gaps) so chunking can see the page structure. Returns the
+// text plus each word's [start, end) character span.
+export function layoutText(words) {
+  let text = '';
+  const spans = [];
+  let previous = null;
+
+  for (const word of words) {
+    if (previous) {
+      const height = Math.max(previous.bbox[3] - previous.bbox[1], 1);
+      const gap = word.bbox[1] - previous.bbox[3];
+      const newLine = word.bbox[1] >= previous.bbox[3] - height * 0.5 || word.bbox[0] < previous.bbox[0] - height;
+      text += newLine ? (gap > height * 1.2 ? '\n\n' : '\n') : ' ';
+    }
+    spans.push([text.length, text.length + word.text.length]);
+    text += word.text;
+    previous = word;
+  }
+
+  return { text, spans };
+}
+
+// Boxes of the words overlapping the character range [start, end)
+export function boxesForRange(words, spans, start, end) {
+  const boxes = [];
+  for (let i = 0; i < words.length; i++) {
+    if (spans[i][1] > start && spans[i][0] < end) boxes.push(words[i].bbox);
+  }
+  return mergeLineBoxes(boxes);
+}
@@ -0,0 +1,49 @@
+// Unicode-aware tokenizer shared by the BM25 index and query parsing
+export function tokenize(text) {
+  // \p{M}: combining marks (e.g. Devanagari vowel signs) belong to the word
+  return (text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+// Okapi BM25 over an array of { text } entries. Built once per corpus
+// snapshot; search() returns [{ entry, score }] sorted by score.
+export function createBM25Index(entries, { k1 = 1.2, b = 0.75 } = {}) {
+  const docs = entries.map(entry => {
+    const tf = new Map();
+    const tokens = tokenize(entry.text);
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { entry, tf, length: tokens.length };
+  });
+
+  const docFreq = new Map();
+  for (const d of docs) {
+    for (const t of d.tf.keys()) docFreq.set(t, (docFreq.get(t) || 0) + 1);
+  }
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+
+  function idf(term) {
+    const df = docFreq.get(term) || 0;
+    return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+  }
+
+  return {
+    search(query, { limit = 15, predicate = null } = {}) {
+      const terms = [...new Set(tokenize(query))].filter(t => docFreq.has(t));
+      if (!terms.length) return [];
+
+      const scored = [];
+      for (const d of docs) {
+        if (predicate && !predicate(d.entry)) continue;
+        let score = 0;
+        for (const t of terms) {
+          const f = d.tf.get(t);
+          if (!f) continue;
+          score += idf(t) * (f * (k1 + 1)) / (f + k1 * (1 - b + b * d.length / (avgLength || 1)));
+        }
+        if (score > 0) scored.push({ entry: d.entry, score });
+      }
+
+      return scored.sort((x, y) => y.score - x.score).slice(0, limit);
+    }
+  };
+}
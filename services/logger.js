@@ -0,0 +1,127 @@
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+import crypto from 'crypto';
+
+// Leveled, structured logging. Each line carries the component, the message
+// and its fields, plus the context of the work in progress (requestId for
+// HTTP requests, jobId/docId for ingestion jobs), which follows async calls
+// through AsyncLocalStorage so nested services don't have to pass it along.
+//
+//   LOG_LEVEL   debug | info (default) | warn | error | silent
+//   LOG_FORMAT  json (default in production) | pretty
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+}
+
+function useJson() {
+  const format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+  return format === 'json';
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status && { status: error.status }),
+    ...(error.stack && { stack: error.stack })
+  };
+}
+
+// Errors anywhere in the fields are reduced to name/message/stack
+function normalizeFields(fields) {
+  if (fields instanceof Error) return { err: serializeError(fields) };
+  if (!fields || typeof fields !== 'object') return fields === undefined ? {} : { value: fields };
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]));
+}
+
+function formatPretty(entry) {
+  const { time, level, component, msg, err, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  const line = `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${details ? ` ${details}` : ''}`;
+  return err ? `${line}\n  ${err.stack || `${err.name}: ${err.message}`}` : line;
+}
+
+function write(level, component, bindings, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...context.getStore(),
+    ...bindings,
+    ...normalizeFields(fields)
+  };
+  const line = useJson() ? JSON.stringify(entry) : formatPretty(entry);
+  // Warnings and errors go to stderr
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+  else process.stdout.write(`${line}\n`);
+}
+
+// logger.info(message, fields?) and so on; fields may be an Error.
+// child(bindings) adds fixed fields to every line.
+export function createLogger(component, bindings = {}) {
+  const log = level => (msg, fields) => write(level, component, bindings, msg, fields);
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: extra => createLogger(component, { ...bindings, ...extra })
+  };
+}
+
+// Run fn with fields added to the context of every line it logs. Work that
+// outlives the caller (background jobs) passes inherit: false so it doesn't
+// keep the requestId of whichever request happened to schedule it.
+export function withLogContext(fields, fn, { inherit = true } = {}) {
+  return context.run({ ...(inherit && context.getStore()), ...fields }, fn);
+}
+
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+// Middleware that continues from stream events (multer's busboy) calls next
+// outside the request's context; this binds next back to it
+export function keepLogContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+const httpLogger = createLogger('http');
+
+// Gives every request an id (the client's X-Request-Id when it is a sane
+// token), echoes it back, runs the rest of the request in its log context
+// and logs one access line when the response is finished
+export function requestLogger(req, res, next) {
+  const header = req.get('x-request-id');
+  const requestId = header && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+    const fields = {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs,
+      ...(req.auth?.tenant && { tenant: req.auth.tenant })
+    };
+    if (res.statusCode >= 500) httpLogger.error('Request failed', fields);
+    // Metrics scrapes would drown the access log
+    else if (fields.path === '/metrics') httpLogger.debug('Request completed', fields);
+    else httpLogger.info('Request completed', fields);
+  });
+
+  withLogContext({ requestId }, next);
+}
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import client from 'prom-client';
+
+// Prometheus metrics, served at GET /metrics. Each server process (or
+// serverless instance) keeps its own registry.
+//
+//   METRICS_ENABLED  false hides the endpoint (default true)
+//   METRICS_TOKEN    when set, scrapes need `Authorization: Bearer <token>`
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  return new client.Histogram({ name, help, labelNames, buckets, registers: [registry] });
+}
+
+function counter(name, help, labelNames = []) {
+  return new client.Counter({ name, help, labelNames, registers: [registry] });
+}
+
+export const httpRequestDuration = histogram(
+  'http_request_duration_seconds', 'HTTP request duration', ['method', 'route', 'status_code']
+);
+export const pdfRenderDuration = histogram('rag_pdf_render_seconds', 'Time to render one PDF page to an image');
+export const ocrPageDuration = histogram('rag_ocr_page_seconds', 'Time to OCR one page or image', ['language']);
+export const ocrConfidence = histogram(
+  'rag_ocr_confidence', 'Tesseract confidence of OCRed pages (0-100)', [], [10, 20, 30, 40, 50, 60, 70, 80, 90, 100]
+);
+export const embeddingBatchDuration = histogram(
+  'rag_embedding_batch_seconds', 'Time to embed one batch of texts, including any wait for a worker thread', ['model']
+);
+export const vectorSearchDuration = histogram('rag_vector_search_seconds', 'Retrieval search time', ['backend', 'mode']);
+export const answerGenerationDuration = histogram(
+  'rag_answer_generation_seconds', 'Time to generate an answer', ['method', 'stream']
+);
+
+export const ingestedChunks = counter('rag_ingested_chunks_total', 'Chunks indexed by ingestion', ['type']);
+export const ingestionJobs = counter('rag_ingestion_jobs_total', 'Finished ingestion jobs', ['type', 'status']);
+export const embeddingFailures = counter('rag_embedding_failures_total', 'Texts that could not be embedded', ['model']);
+export const ocrFailures = counter('rag_ocr_failures_total', 'Pages or images whose OCR failed');
+
+// Run fn and record its duration in the histogram, whether it resolves or throws
+export async function timed(metric, labels, fn) {
+  const end = metric.startTimer(labels);
+  try {
+    return await fn();
+  } finally {
+    end();
+  }
+}
+
+// Route templates keep label cardinality bounded ("/api/documents/:docId",
+// not one series per document)
+function routeLabel(req) {
+  if (req.route?.path) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl || 'unmatched';
+}
+
+export function httpMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    end({ method: req.method, route: routeLabel(req), status_code: res.statusCode });
+  });
+  next();
+}
+
+export function isMetricsEnabled() {
+  return process.env.METRICS_ENABLED !== 'false';
+}
+
+function validToken(header, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(header || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export async function metricsHandler(req, res) {
+  if (!isMetricsEnabled()) return res.status(404).json({ ok: false, error: 'Metrics are disabled' });
+  const token = process.env.METRICS_TOKEN;
+  if (token && !validToken(req.get('authorization'), token)) {
+    return res.status(401).json({ ok: false, error: 'Invalid metrics token' });
+  }
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.end(await registry.metrics());
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+}
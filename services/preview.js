@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import canvas from 'canvas';
+import Chunk from '../models/Chunk.js';
+import Document from '../models/Document.js';
+import { loadPdf, renderPage } from './ingest.js';
+import { FORMATS } from './formats.js';
+
+const { createCanvas, loadImage } = canvas;
+
+const HIGHLIGHT_FILL = 'rgba(255, 213, 0, 0.35)';
+const HIGHLIGHT_STROKE = 'rgba(230, 126, 34, 0.9)';
+const PREVIEW_SCALE = 1.5;
+
+const EXTRACTED_MIMETYPES = new Set(Object.entries(FORMATS)
+  .filter(([format]) => !['pdf', 'image'].includes(format))
+  .map(([, mimetype]) => mimetype));
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function drawBoxes(context, boxes, scale) {
+  context.fillStyle = HIGHLIGHT_FILL;
+  context.strokeStyle = HIGHLIGHT_STROKE;
+  context.lineWidth = 2;
+  for (const [x0, y0, x1, y1] of boxes) {
+    const x = x0 * scale, y = y0 * scale, w = (x1 - x0) * scale, h = (y1 - y0) * scale;
+    context.fillRect(x, y, w, h);
+    context.strokeRect(x, y, w, h);
+  }
+}
+
+// Boxes (page coordinates) of the text behind one chunk
+export async function getChunkHighlight(docId, chunkId, tenant) {
+  if (!mongoose.isValidObjectId(chunkId)) throw httpError(404, 'Chunk not found');
+  const chunk = await Chunk.findOne({ _id: chunkId, docId, tenant }, { vector: 0 }).lean();
+  if (!chunk) throw httpError(404, 'Chunk not found');
+
+  return {
+    docId,
+    chunkId: chunk._id,
+    page: chunk.page,
+    type: chunk.type,
+    text: chunk.text,
+    pageSize: chunk.metadata?.pageSize || null,
+    boxes: chunk.metadata?.boxes || []
+  };
+}
+
+// PNG of the chunk's page with its boxes highlighted
+export async function renderChunkHighlight(docId, chunkId, { scale = PREVIEW_SCALE, tenant } = {}) {
+  const highlight = await getChunkHighlight(docId, chunkId, tenant);
+  const record = await Document.findOne({ docId, tenant }).lean();
+  if (!record?.storagePath || !fs.existsSync(record.storagePath)) {
+    throw httpError(404, 'Original file is not available for this document');
+  }
+
+  const buffer = fs.readFileSync(record.storagePath);
+  const isPdf = record.mimetype === 'application/pdf' || path.extname(record.storagePath).toLowerCase() === '.pdf';
+  // Extracted formats (DOCX, spreadsheets, HTML, text) have no page image to draw on
+  if (!isPdf && EXTRACTED_MIMETYPES.has(record.mimetype)) {
+    throw httpError(415, 'Highlight previews are only available for PDF and image documents');
+  }
+
+  if (isPdf) {
+    const pdf = await loadPdf(buffer);
+    if (!highlight.page || highlight.page > pdf.numPages) {
+      throw httpError(404, 'Page not found');
+    }
+    const page = await pdf.getPage(highlight.page);
+    return renderPage(page, { scale, draw: (context, s) => drawBoxes(context, highlight.boxes, s) });
+  }
+
+  // Images: boxes are already in image pixels
+  const image = await loadImage(buffer);
+  const pageCanvas = createCanvas(image.width, image.height);
+  const context = pageCanvas.getContext('2d');
+  context.drawImage(image, 0, 0);
+  drawBoxes(context, highlight.boxes, 1);
+  return pageCanvas.toBuffer('image/png');
+}
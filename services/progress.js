@@ -0,0 +1,53 @@
+import { createLogger } from './logger.js';
+import { writeEvent } from './sse.js';
+
+// SSE progress streams keyed by tenant and the client's x-session-id, so a
+// session id guessed by another tenant reaches nothing. Kept at module level
+// so background ingestion jobs can report after the upload request ends.
+// Several subscribers (e.g. two tabs) can follow the same session.
+const connections = new Map(); // `${tenant}:${sessionId}` -> Set of responses
+
+const logger = createLogger('progress');
+
+function streamKey(tenant, sessionId) {
+  return `${tenant}:${sessionId}`;
+}
+
+export function registerProgressStream(tenant, sessionId, res) {
+  const key = streamKey(tenant, sessionId);
+  if (!connections.has(key)) connections.set(key, new Set());
+  connections.get(key).add(res);
+}
+
+export function unregisterProgressStream(tenant, sessionId, res) {
+  const key = streamKey(tenant, sessionId);
+  const streams = connections.get(key);
+  if (!streams) return;
+  streams.delete(res);
+  if (!streams.size) connections.delete(key);
+}
+
+export function sendProgressEvent(tenant, sessionId, payload) {
+  for (const connection of connections.get(streamKey(tenant, sessionId)) || []) {
+    writeEvent(connection, payload);
+  }
+}
+
+export function sendProgressUpdate(tenant, sessionId, type, emoji, message) {
+  sendProgressEvent(tenant, sessionId, { type, emoji, message });
+  logger.debug(message, { sessionId, type });
+}
+
+// Send a final event and end the streams
+export function closeProgressStream(tenant, sessionId, payload) {
+  const key = streamKey(tenant, sessionId);
+  for (const connection of connections.get(key) || []) {
+    try {
+      if (payload) writeEvent(connection, payload);
+      connection.end();
+    } catch (error) {
+      logger.warn('Failed to close SSE connection', { error: error.message });
+    }
+  }
+  connections.delete(key);
+}
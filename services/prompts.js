@@ -0,0 +1,125 @@
+import path from 'path';
+
+const BASE_SYSTEM_PROMPT = [
+  'You answer questions about uploaded documents using only the numbered context passages provided.',
+  'Cite the passages you rely on with their numbers in square brackets, e.g. [1] or [2][3].',
+  'If the passages do not contain the answer, say so plainly instead of guessing.',
+  'Keep answers concise and use Markdown for lists and emphasis.'
+].join(' ');
+
+// Extra instructions per document type (as detected by detectDocumentType)
+const TYPE_INSTRUCTIONS = {
+  certificate: 'The passages come from a certificate. When relevant, state the recipient, issuer, course or program and issue date exactly as written.',
+  financial: 'The passages come from a financial document. Quote figures with their units, currency and period exactly as written and do not compute values the passages do not support.',
+  resume: 'The passages come from a resume. Attribute skills, roles, projects and education to the person described and keep dates and employers as written.',
+  chart: 'The passages come from OCR of charts or figures. Text may be fragmented; mention axis labels, legends and values only when they appear in the passages.',
+  general: ''
+};
+
+// Render retrieved contexts as numbered passages for the prompt
+export function formatContexts(contexts) {
+  return contexts.map((c, i) => {
+    const location = [
+      c.source ? path.basename(c.source) : null,
+      c.page ? `page ${c.page}` : null,
+      c.type
+    ].filter(Boolean).join(', ');
+    return `[${i + 1}] (${location})\n${c.text}`;
+  }).join('\n\n');
+}
+
+// history: earlier turns of a conversation ({ question, answer }), sent
+// before the passages so a follow-up's "it" or "that" can be resolved
+export function buildAnswerMessages(question, contexts, documentType = 'general', history = []) {
+  const instructions = TYPE_INSTRUCTIONS[documentType] ?? TYPE_INSTRUCTIONS.general;
+  return [
+    { role: 'system', content: [BASE_SYSTEM_PROMPT, instructions].filter(Boolean).join('\n\n') },
+    ...history.flatMap(t => [
+      { role: 'user', content: t.question },
+      { role: 'assistant', content: (t.answer || '').slice(0, 1000) }
+    ]),
+    {
+      role: 'user',
+      content: `Context passages:\n\n${formatContexts(contexts)}\n\nQuestion: ${question}`
+    }
+  ];
+}
+
+// Fill the fields of a JSON schema from numbered passages; the reply is JSON only
+export function buildExtractionMessages(schema, passages) {
+  const fields = Object.entries(schema.properties).map(([field, definition]) => {
+    const type = definition.type === 'array' ? `array of ${definition.items?.type || 'string'}` : definition.type || 'string';
+    const format = definition.format ? `, ${definition.format}` : '';
+    const about = [definition.title, definition.description].filter(Boolean).join(': ');
+    return `- ${field} (${type}${format})${about ? `: ${about}` : ''}`;
+  }).join('\n');
+
+  return [
+    {
+      role: 'system',
+      content: [
+        'You extract structured fields from document passages, using only the numbered passages provided.',
+        'Reply with a JSON object only: {"fields": {"<field>": {"value": <value or null>, "passage": <passage number or null>, "confidence": <number from 0 to 1>}}}.',
+        'Use null when the passages do not state a field; never guess.',
+        'Numbers are plain JSON numbers without currency symbols or thousands separators. Dates are YYYY-MM-DD when unambiguous, otherwise as written.'
+      ].join(' ')
+    },
+    {
+      role: 'user',
+      content: `${schema.title ? `Document type: ${schema.title}\n\n` : ''}Fields:\n${fields}\n\nPassages:\n\n${formatContexts(passages)}`
+    }
+  ];
+}
+
+// Output shape of document summaries, by style (see services/summary.js)
+const SUMMARY_STYLES = {
+  paragraph: 'Write it as one or more prose paragraphs.',
+  bullets: 'Write it as a Markdown bullet list with one key point per bullet.',
+  executive: 'Start with a one-sentence overview, then give the key findings, figures and any risks or required actions as Markdown bullets.'
+};
+
+const SUMMARY_RULES = 'Use only the text provided. Keep names, figures, units and dates exactly as written and do not add outside information. Reply with the summary only.';
+
+// Map step: summarize one part (pages or section) of a document
+export function buildSectionSummaryMessages(label, text, words) {
+  return [
+    {
+      role: 'system',
+      content: `You summarize one part of a longer document in at most ${words} words. ${SUMMARY_RULES}`
+    },
+    { role: 'user', content: `Part: ${label}\n\n${text}` }
+  ];
+}
+
+// Reduce step: merge the summaries of consecutive parts into one summary
+export function buildSummaryMessages(parts, { filename, words, style = 'paragraph' }) {
+  const text = parts.map(p => `## ${p.label}\n${p.summary}`).join('\n\n');
+  return [
+    {
+      role: 'system',
+      content: [
+        `You combine the summaries of consecutive parts of a document into one summary of the whole in at most ${words} words.`,
+        SUMMARY_STYLES[style] ?? SUMMARY_STYLES.paragraph,
+        SUMMARY_RULES
+      ].join(' ')
+    },
+    { role: 'user', content: `${filename ? `Document: ${path.basename(filename)}\n\n` : ''}${text}` }
+  ];
+}
+
+// Rewrite a follow-up question into a standalone search query using history
+export function buildRewriteMessages(history, question) {
+  const transcript = history
+    .map(t => `User: ${t.question}\nAssistant: ${(t.answer || '').slice(0, 500)}`)
+    .join('\n\n');
+  return [
+    {
+      role: 'system',
+      content: 'Rewrite the final user question so it can be understood without the conversation. Resolve pronouns and implicit references using the history. Reply with the rewritten question only. If it is already standalone, repeat it unchanged.'
+    },
+    {
+      role: 'user',
+      content: `Conversation:\n${transcript}\n\nFinal question: ${question}`
+    }
+  ];
+}
@@ -1,37 +1,70 @@
 import path from 'path';
-import mongoose from 'mongoose';
-import Chunk from '../models/Chunk.js';
-import { embedTexts } from './embedding.js';
+import { embedTexts, getEmbeddingModelInfo } from './embedding.js';
+import { LEGACY_EMBEDDING_MODEL } from './embeddingModels.js';
+import { getVectorStore } from './vectorStore.js';
+import { generateAnswer } from './generation.js';
+import { resolveRetrievalOptions, reciprocalRankFusion } from './hybrid.js';
+import { isRerankEnabled, rerankContexts } from './rerank.js';
+import { prepareConversationQuery, recordTurn } from './conversation.js';
+import { parseQueryFilters, resolveChunkFilter } from './filters.js';
+import { createLogger } from './logger.js';
+import { timed, vectorSearchDuration } from './metrics.js';
+
+const INDEXED_MODELS_TTL_MS = 60 * 1000;
+const indexedModels = new Map(); // tenant -> { loadedAt, models }
+
+const logger = createLogger('query');
+
+// Models behind a tenant's vectors, cached for a minute; untracked chunks
+// predate model tracking
+async function getIndexedEmbeddingModels(tenant) {
+  const cached = indexedModels.get(tenant);
+  if (cached && Date.now() - cached.loadedAt <= INDEXED_MODELS_TTL_MS) return cached.models;
+
+  const models = await getVectorStore().embeddingModels(tenant);
+  const entry = { loadedAt: Date.now(), models: [...new Set(models.map(m => m || LEGACY_EMBEDDING_MODEL))] };
+  indexedModels.set(tenant, entry);
+  return entry.models;
+}
 
-export async function vectorSearch(queryVector, topK=5, sourceFilter = null) {
-  const collection = mongoose.connection.collection('chunks');
-  
-  let pipeline = [
-    {
-      $vectorSearch: {
-        index: 'vector_index',
-        path: 'vector',
-        queryVector,
-        numCandidates: Math.max(100, topK*10),
-        limit: topK * 3 // Get more results for better filtering
-      }
-    }
-  ];
+// Query vectors are only comparable with vectors from the same model. Throws
+// (409) when the tenant's chunks hold none from queryModel; returns the model
+// to restrict vector search to when several are indexed (e.g. mid re-embed).
+export async function checkEmbeddingModel(queryModel, tenant) {
+  const models = await getIndexedEmbeddingModels(requireTenant(tenant));
+  if (!models.length || (models.length === 1 && models[0] === queryModel)) return null;
+  if (!models.includes(queryModel)) {
+    const error = new Error(`Indexed vectors come from ${models.join(', ')} but EMBEDDING_MODEL is ${queryModel}. Re-embed the chunks (node scripts/reembed.js) or switch the model back.`);
+    error.status = 409;
+    throw error;
+  }
+  logger.warn('Index holds vectors from several models; searching the query model only', { models, queryModel });
+  return queryModel;
+}
 
-  // Add source filter if specified
-  if (sourceFilter) {
-    pipeline.push({
-      $match: {
-        source: { $regex: sourceFilter, $options: 'i' }
-      }
-    });
-  }
+// Searches never run across tenants: the tenant is a pre-filter of every
+// vector and keyword search
+function requireTenant(tenant) {
+  if (!tenant) throw new Error('Search requires a tenant');
+  return tenant;
+}
 
-  pipeline.push({
-    $project: { text:1, metadata:1, source:1, page:1, type:1, score: { $meta: 'vectorSearchScore' } }
-  });
+// A filter whose filename/date part matched no document
+function matchesNothing(filter) {
+  return filter?.docIds?.length === 0;
+}
 
-  const results = await collection.aggregate(pipeline).toArray();
+// filter: chunk filter from resolveChunkFilter, applied before the vector limit
+export async function vectorSearch(queryVector, topK=5, filter = null, embeddingModel = null, tenant = null) {
+  requireTenant(tenant);
+  if (matchesNothing(filter)) return [];
+  const store = getVectorStore();
+  const results = await timed(vectorSearchDuration, { backend: store.name, mode: 'vector' }, () => store.search(queryVector, {
+    limit: topK * 3, // Get more results for better filtering
+    filter,
+    embeddingModel,
+    tenant
+  }));
   
   // Filter out very low-quality results and limit to topK
   return results
@@ -39,385 +72,150 @@ export async function vectorSearch(queryVector, topK=5, sourceFilter = null) {
     .slice(0, topK);
 }
 
-// Fixed universal answer generation without hard-coded responses
-async function generateAnswer(question, contexts) {
-  if (!contexts.length) {
-    return 'No relevant context found.';
-  }
-
-  const questionLower = question.toLowerCase();
-  
-  // Group contexts by document source to prioritize same-document results
-  const contextsBySource = groupContextsBySource(contexts);
-  const primarySource = Object.keys(contextsBySource)[0]; // Most relevant document
-  const primaryContexts = contextsBySource[primarySource];
-
-  console.log(`🎯 Primary document: ${path.basename(primarySource)}`);
-  console.log(`📄 Using ${primaryContexts.length} contexts from primary document`);
-
-  const documentType = detectDocumentType(primaryContexts);
-  const bestContext = primaryContexts[0];
-  const contextText = bestContext.text;
-
-  // Certificate-specific handling (FIXED - no hard-coded responses)
-  if (documentType === 'certificate' || questionLower.includes('certificate') || questionLower.includes('certification')) {
-    return handleCertificateQuery(questionLower, primaryContexts);
-  }
-
-  // NAME/PERSON queries
-  if (questionLower.includes('name') || questionLower.includes('who')) {
-    const names = extractNames(contextText);
-    if (names.length > 0) {
-      return names.length === 1 
-        ? `The name mentioned is: **${names[0]}**`
-        : `Names mentioned: **${names.join(', ')}**`;
-    }
-  }
-
-  // COURSE/TRAINING queries
-  if (questionLower.includes('course') || questionLower.includes('training') || questionLower.includes('program')) {
-    const courses = extractCourses(contextText);
-    if (courses.length > 0) {
-      return `**Course/Training Information:**\n${courses.map(c => `• ${c}`).join('\n')}`;
-    }
-  }
-
-  // COMPANY/ORGANIZATION queries
-  if (questionLower.includes('company') || questionLower.includes('organization') || questionLower.includes('issued by')) {
-    const orgs = extractOrganizations(contextText);
-    if (orgs.length > 0) {
-      return `**Organization/Company:**\n${orgs.map(o => `• ${o}`).join('\n')}`;
-    }
-  }
-
-  // DATE/TIME queries
-  if (questionLower.includes('date') || questionLower.includes('when') || 
-      questionLower.includes('year') || questionLower.includes('time')) {
-    const dates = extractDates(contextText);
-    if (dates.length > 0) {
-      return `**Dates mentioned:**\n${dates.map(d => `• ${d}`).join('\n')}`;
-    }
-  }
-
-  // SUMMARY queries
-  if (questionLower.includes('summary') || questionLower.includes('overview') || 
-      questionLower.includes('about') || questionLower.includes('what is')) {
-    return generateSmartSummary(primaryContexts, documentType);
-  }
-
-  // Default: Enhanced contextual response from primary document only
-  return generateContextualAnswer(question, primaryContexts, documentType);
+export async function keywordSearch(question, topK=5, filter = null, tenant = null) {
+  requireTenant(tenant);
+  if (matchesNothing(filter)) return [];
+  const store = getVectorStore();
+  const results = await timed(vectorSearchDuration, { backend: store.name, mode: 'keyword' }, () => store.keywordSearch(question, {
+    limit: topK * 3,
+    filter,
+    tenant
+  }));
+  return results.slice(0, topK);
 }
 
-// Group contexts by source document
-function groupContextsBySource(contexts) {
-  const grouped = {};
-  contexts.forEach(context => {
-    const source = context.source;
-    if (!grouped[source]) {
-      grouped[source] = [];
-    }
-    grouped[source].push(context);
-  });
-
-  // Sort sources by total relevance score
-  const sortedSources = Object.keys(grouped).sort((a, b) => {
-    const scoreA = grouped[a].reduce((sum, ctx) => sum + ctx.score, 0);
-    const scoreB = grouped[b].reduce((sum, ctx) => sum + ctx.score, 0);
-    return scoreB - scoreA;
-  });
-
-  const result = {};
-  sortedSources.forEach(source => {
-    result[source] = grouped[source];
-  });
-
-  return result;
+// Vector and keyword candidates merged by reciprocal rank fusion. The vector
+// relevance threshold is not applied here: exact-term keyword hits can rescue
+// chunks the embedding scores low.
+export async function hybridSearch(question, queryVector, topK=5, options = {}, filter = null, embeddingModel = null, tenant = null) {
+  const store = getVectorStore();
+  const limit = topK * 3;
+  requireTenant(tenant);
+  if (matchesNothing(filter)) return [];
+  const [vectorResults, keywordResults] = await timed(vectorSearchDuration, { backend: store.name, mode: 'hybrid' }, () => Promise.all([
+    options.vectorWeight ? store.search(queryVector, { limit, filter, embeddingModel, tenant }) : [],
+    options.keywordWeight ? store.keywordSearch(question, { limit, filter, tenant }) : []
+  ]));
+  logger.debug('Fusing hybrid candidates', { vector: vectorResults.length, keyword: keywordResults.length });
+
+  return reciprocalRankFusion([
+    { name: 'vector', weight: options.vectorWeight, results: vectorResults },
+    { name: 'keyword', weight: options.keywordWeight, results: keywordResults }
+  ], { k: options.rrfK }).slice(0, topK);
 }
 
-// FIXED certificate handling - reads actual document content
-function handleCertificateQuery(questionLower, contexts) {
-  const allText = contexts.map(c => c.text).join(' ');
-  const cleanedText = cleanAndFormatText(allText);
-
-  console.log(`🔍 Certificate text preview: ${cleanedText.substring(0, 200)}...`);
-
-  if (questionLower.includes('about') || questionLower.includes('what')) {
-    const certInfo = extractCertificateInfo(cleanedText);
-    
-    if (certInfo.hasInfo) {
-      const response = [
-        `**Certificate Type:** ${certInfo.type}`,
-        `**Issued By:** ${certInfo.issuer}`,
-        `**Recipient:** ${certInfo.recipient}`,
-        `**Course/Program:** ${certInfo.course}`,
-        `**Date:** ${certInfo.date}`
-      ].filter(line => !line.includes('Unknown')); // Remove unknown fields
-
-      return response.join('\n');
-    }
-  }
+// Shared retrieval path for queryRAG and the streaming endpoint.
+// options: { mode: 'vector' | 'keyword' | 'hybrid', vectorWeight, keywordWeight, rrfK, rerank, tenant, filters }
+// (filters: see parseQueryFilters)
+export async function retrieveContexts(question, topK=5, options = {}) {
+  const { tenant } = options;
+  const filter = await resolveChunkFilter(parseQueryFilters(options.filters), tenant);
+  question = question.normalize('NFC');
+  const retrieval = resolveRetrievalOptions(options);
+  const rerank = isRerankEnabled(options.rerank);
+  logger.debug('Processing query', { mode: retrieval.mode, rerank, question });
+
+  // The cross-encoder picks topK out of a wider candidate pool
+  const candidateK = rerank ? topK * 3 : topK;
+
+  let hits;
+  if (retrieval.mode === 'keyword') {
+    hits = await keywordSearch(question, candidateK, filter, tenant);
+  } else if (retrieval.mode === 'hybrid' && !retrieval.vectorWeight) {
+    // Keyword-only fusion: no question vector, so no model check either
+    hits = await hybridSearch(question, null, candidateK, retrieval, filter, null, tenant);
+  } else {
+    const { model } = getEmbeddingModelInfo();
+    const embeddingModel = await checkEmbeddingModel(model, tenant);
+    const [qv] = await embedTexts([question], null, { inputType: 'query' });
+    if (!qv) throw new Error('Failed to embed the question');
+
+    hits = retrieval.mode === 'hybrid'
+      ? await hybridSearch(question, qv, candidateK, retrieval, filter, embeddingModel, tenant)
+      : await vectorSearch(qv, candidateK, filter, embeddingModel, tenant);
+  }
+
+  if (rerank) {
+    hits = await rerankContexts(question, hits, topK);
+  }
+  logger.info('Retrieved contexts', {
+    mode: retrieval.mode,
+    rerank,
+    contexts: hits.length,
+    sources: [...new Set(hits.map(h => path.basename(h.source)))]
+  });
 
-  // Fallback to meaningful sentences from actual document
-  const sentences = cleanedText.split(/[.!?]+/)
-    .filter(s => s.trim().length > 15 && /[a-zA-Z]/.test(s))
-    .slice(0, 3);
-  
-  return sentences.length > 0 
-    ? `**Certificate Details:**\n${sentences.map(s => `• ${s.trim()}`).join('\n')}`
-    : `**Document Content:** ${cleanedText.substring(0, 300)}...`;
+  return hits;
 }
 
-// Extract certificate information from actual text content
-function extractCertificateInfo(text) {
-  const info = {
-    type: 'Unknown',
-    issuer: 'Unknown',
-    recipient: 'Unknown', 
-    course: 'Unknown',
-    date: 'Unknown',
-    hasInfo: false
+// Shape returned to clients for each retrieved context
+export function toContextResponse(h) {
+  return {
+    text: h.text,
+    metadata: h.metadata || {},
+    source: h.source,
+    page: h.page,
+    type: h.type,
+    ...(h.lang && { lang: h.lang }),
+    score: h.score,
+    ...(h.vectorScore !== undefined && { vectorScore: h.vectorScore }),
+    ...(h.keywordScore !== undefined && { keywordScore: h.keywordScore }),
+    ...(h.rerankScore !== undefined && { rerankScore: h.rerankScore }),
+    // Table and chart chunks also come back as structured data
+    ...(h.type === 'table' && h.metadata?.columns && {
+      table: { columns: h.metadata.columns, rows: h.metadata.rows || [] }
+    }),
+    ...(h.type === 'chart' && h.metadata?.chart && { chart: h.metadata.chart })
   };
-
-  // Extract recipient (name)
-  const namePatterns = [
-    /(?:awarded to|presented to|certificate.*?to)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi,
-    /([A-Z][a-z]+\s+[A-Z][a-z]+)(?=\s+for\s+successfully)/gi
-  ];
-  
-  for (const pattern of namePatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      info.recipient = match[1] || match[0];
-      info.hasInfo = true;
-      break;
-    }
-  }
-
-  // Extract issuer/company
-  const issuerPatterns = [
-    /\b(Infosys|Google|Microsoft|Amazon|IBM|Oracle|Coursera|edX)\b/gi,
-    /\b([A-Z][a-z]+\s+(?:University|Institute|College|Academy))\b/gi,
-    /\b([A-Z][a-z]+\s+Professional\s+University)\b/gi
-  ];
-  
-  for (const pattern of issuerPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      info.issuer = match[0];
-      info.hasInfo = true;
-      break;
-    }
-  }
-
-  // Extract course/program
-  const coursePatterns = [
-    /(?:completing the course|course in|program in)\s+([^.!?]+)/gi,
-    /(AI-first Software Engineering|Software Engineering|Data Science|Machine Learning|Cloud Computing)/gi
-  ];
-  
-  for (const pattern of coursePatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      info.course = match[1] || match[0];
-      info.hasInfo = true;
-      break;
-    }
-  }
-
-  // Extract date
-  const dateMatch = text.match(/(?:on|issued on:|date:)\s*([A-Z][a-z]+\s+\d{1,2},?\s+\d{4})/gi);
-  if (dateMatch) {
-    info.date = dateMatch[0].replace(/^(on|issued on:|date:)\s*/i, '');
-    info.hasInfo = true;
-  }
-
-  // Determine certificate type
-  if (text.toLowerCase().includes('software engineering')) {
-    info.type = 'Software Engineering Certificate';
-  } else if (text.toLowerCase().includes('internship')) {
-    info.type = 'Internship Certificate';
-  } else if (text.toLowerCase().includes('course completion')) {
-    info.type = 'Course Completion Certificate';
-  } else if (info.course !== 'Unknown') {
-    info.type = 'Professional Certificate';
-  }
-
-  return info;
-}
-
-// Helper functions for extraction
-function extractCourses(text) {
-  const coursePatterns = [
-    /(AI-first Software Engineering|Software Engineering|Data Science|Machine Learning|Cloud Computing)/gi,
-    /(?:course|training|program):\s*([^.!?\n]+)/gi
-  ];
-  
-  const courses = new Set();
-  coursePatterns.forEach(pattern => {
-    const matches = [...text.matchAll(pattern)];
-    matches.forEach(match => {
-      if (match[1] && match[1].trim().length > 5) {
-        courses.add(match[1].trim());
-      }
-    });
-  });
-  
-  return Array.from(courses);
 }
 
-function extractOrganizations(text) {
-  const orgPatterns = [
-    /\b(Infosys|Google|Microsoft|Amazon|IBM|Oracle|Coursera|edX|Udemy)\b/gi,
-    /\b([A-Z][a-z]+\s+(?:University|Institute|College|Academy|Corporation|Limited|Ltd))\b/gi
-  ];
-  
-  const orgs = new Set();
-  orgPatterns.forEach(pattern => {
-    const matches = [...text.matchAll(pattern)];
-    matches.forEach(match => orgs.add(match[0]));
+// Contexts the answer cites as [n]; answers without markers (heuristic
+// fallback) cite every retrieved context
+export function buildCitations(answer, hits) {
+  const cited = new Set(
+    [...(answer || '').matchAll(/\[(\d+)\]/g)]
+      .map(m => Number(m[1]))
+      .filter(n => n >= 1 && n <= hits.length)
+  );
+  const indexes = cited.size ? [...cited].sort((a, b) => a - b) : hits.map((_, i) => i + 1);
+
+  return indexes.map(n => {
+    const h = hits[n - 1];
+    return {
+      index: n,
+      docId: h.docId,
+      source: h.source ? path.basename(h.source) : h.source,
+      page: h.page,
+      type: h.type,
+      score: h.score
+    };
   });
-  
-  return Array.from(orgs);
 }
 
-// Enhanced text cleaning function
-function cleanAndFormatText(text) {
-  return text
-    .replace(/[^\w\s.,!?@()-:\/]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .replace(/([a-z])([A-Z])/g, '$1 $2')
-    .trim();
-}
+// options: retrieval options (see retrieveContexts, including tenant) plus
+// conversationId to rewrite follow-ups with the conversation history and
+// record the turn. The rewrite drives retrieval; the answer step gets the
+// recent turns so the user's own question can be answered in context.
+export async function queryRAG(question, topK=5, options = {}) {
+  const { conversationId, ...retrieval } = options;
 
-// Enhanced helper functions (keeping existing ones)
-function detectDocumentType(contexts) {
-  const allText = contexts.map(c => c.text).join(' ').toLowerCase();
-  
-  if (allText.includes('certificate') || allText.includes('awarded') || 
-      allText.includes('presented') || allText.includes('issued')) {
-    return 'certificate';
-  }
-  if (allText.includes('revenue') || allText.includes('profit') || 
-      allText.includes('sales') || allText.includes('financial')) {
-    return 'financial';
-  }
-  if (allText.includes('skills') || allText.includes('projects') || 
-      allText.includes('education') || allText.includes('experience')) {
-    return 'resume';
-  }
-  if (allText.includes('chart') || allText.includes('graph') || 
-      allText.includes('axis') || allText.includes('legend')) {
-    return 'chart';
+  let standaloneQuestion = question;
+  let history = [];
+  if (conversationId) {
+    ({ standaloneQuestion, history } = await prepareConversationQuery(conversationId, question, retrieval.tenant));
   }
-  return 'general';
-}
-
-function extractNames(text) {
-  const cleanText = cleanAndFormatText(text);
-  const namePatterns = [
-    /\b([A-Z][a-z]+\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\b/g,
-    /(?:awarded to|presented to)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi
-  ];
-  
-  const names = new Set();
-  namePatterns.forEach(pattern => {
-    const matches = [...cleanText.matchAll(pattern)];
-    matches.forEach(match => {
-      const name = match[1] || match[0];
-      if (name && name.length > 3 && name.length < 50) {
-        names.add(name.trim());
-      }
-    });
-  });
-  
-  return Array.from(names);
-}
 
-function extractDates(text) {
-  const datePatterns = [
-    /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2},?\s+\d{4}/gi,
-    /\b\d{1,2}\/\d{1,2}\/\d{4}\b/g,
-    /\b\d{4}-\d{1,2}-\d{1,2}\b/g
-  ];
+  const hits = await retrieveContexts(standaloneQuestion, topK, retrieval);
   
-  const dates = new Set();
-  datePatterns.forEach(pattern => {
-    const matches = [...text.matchAll(pattern)];
-    matches.forEach(match => dates.add(match[0]));
-  });
-  
-  return Array.from(dates);
-}
-
-function generateSmartSummary(contexts, documentType) {
-  const keyPoints = [];
-  
-  contexts.forEach(context => {
-    const cleanedText = cleanAndFormatText(context.text);
-    const sentences = cleanedText.split(/[.!?]+/)
-      .filter(s => s.trim().length > 20 && /[a-zA-Z]/.test(s))
-      .map(s => s.trim());
-    
-    keyPoints.push(...sentences.slice(0, 2));
-  });
-  
-  const uniquePoints = [...new Set(keyPoints)].slice(0, 4);
-  
-  return `**Document Summary:**\n${uniquePoints.map(p => `• ${p}`).join('\n')}`;
-}
-
-function generateContextualAnswer(question, contexts, documentType) {
-  const bestContext = contexts[0];
-  const contextText = cleanAndFormatText(bestContext.text);
-  
-  const sentences = contextText.split(/[.!?]+/)
-    .filter(s => s.trim().length > 10 && /[a-zA-Z]/.test(s));
-  const questionWords = question.toLowerCase().split(/\s+/)
-    .filter(word => word.length > 3);
-  
-  let bestSentence = sentences[0] || contextText.substring(0, 100);
-  let maxMatches = 0;
-  
-  sentences.forEach(sentence => {
-    const sentenceLower = sentence.toLowerCase();
-    const matches = questionWords.filter(word => 
-      sentenceLower.includes(word)
-    ).length;
-    
-    if (matches > maxMatches) {
-      maxMatches = matches;
-      bestSentence = sentence;
-    }
-  });
-  
-  return `**Based on the document:**\n${bestSentence.trim()}`;
-}
+  const answer = await generateAnswer(question, hits, { history, standaloneQuestion });
 
-export async function queryRAG(question, topK=5) {
-  console.log(`🔍 Processing query: "${question}"`);
-  
-  const [qv] = await embedTexts([question]);
-  console.log(`✅ Generated query embedding (${qv.length} dimensions)`);
-  
-  const hits = await vectorSearch(qv, topK);
-  console.log(`📊 Found ${hits.length} relevant contexts`);
-  
-  // Show document sources for debugging
-  const uniqueSources = [...new Set(hits.map(h => path.basename(h.source)))];
-  console.log(`📄 Documents: ${uniqueSources.join(', ')}`);
-  
-  const answer = await generateAnswer(question, hits);
+  if (conversationId) {
+    await recordTurn(conversationId, { question, standaloneQuestion, answer, contexts: hits });
+  }
   
   return {
     answer: answer,
-    contexts: hits.map(h => ({
-      text: h.text,
-      metadata: h.metadata || {},
-      source: h.source,
-      page: h.page,
-      type: h.type,
-      score: h.score
-    }))
+    contexts: hits.map(toContextResponse),
+    ...(conversationId && { conversationId, standaloneQuestion })
   };
 }
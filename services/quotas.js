@@ -0,0 +1,146 @@
+import Chunk from '../models/Chunk.js';
+import Document from '../models/Document.js';
+import Job from '../models/Job.js';
+import Quota from '../models/Quota.js';
+
+// Storage and ingestion quotas per tenant. Defaults come from QUOTA_MAX_DOCUMENTS,
+// QUOTA_MAX_CHUNKS, QUOTA_MAX_BYTES and QUOTA_MAX_ACTIVE_JOBS (unset or 0:
+// unlimited, except active jobs which default to 10); admins can override them
+// per tenant. Limits are null when unlimited.
+
+export const QUOTA_FIELDS = ['maxDocuments', 'maxChunks', 'maxBytes', 'maxActiveJobs'];
+
+const DEFAULT_ENV = {
+  maxDocuments: ['QUOTA_MAX_DOCUMENTS', 0],
+  maxChunks: ['QUOTA_MAX_CHUNKS', 0],
+  maxBytes: ['QUOTA_MAX_BYTES', 0],
+  maxActiveJobs: ['QUOTA_MAX_ACTIVE_JOBS', 10]
+};
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function limit(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+export function getDefaultQuota() {
+  return Object.fromEntries(Object.entries(DEFAULT_ENV).map(([field, [name, fallback]]) => (
+    [field, limit(process.env[name] ?? fallback)]
+  )));
+}
+
+// Effective limits of a tenant: its overrides on top of the defaults
+export async function getQuota(tenant) {
+  const override = await Quota.findOne({ tenant }).lean();
+  const quota = getDefaultQuota();
+  for (const field of QUOTA_FIELDS) {
+    if (override?.[field] !== undefined && override[field] !== null) quota[field] = limit(override[field]);
+  }
+  return quota;
+}
+
+// What a tenant stores and has in flight. Queued and running uploads count as
+// pending documents and bytes so a burst of uploads can't overshoot the quota.
+export async function getUsage(tenant) {
+  const [documents, chunks, stored, jobs] = await Promise.all([
+    Document.countDocuments({ tenant }),
+    Chunk.countDocuments({ tenant }),
+    Document.aggregate([{ $match: { tenant } }, { $group: { _id: null, bytes: { $sum: '$size' } } }]),
+    Job.aggregate([
+      { $match: { tenant, status: { $in: ACTIVE_STATUSES } } },
+      { $group: { _id: '$type', count: { $sum: 1 }, bytes: { $sum: '$size' } } }
+    ])
+  ]);
+  const uploads = jobs.find(j => j._id !== 'reingest');
+
+  return {
+    documents,
+    chunks,
+    bytes: stored[0]?.bytes || 0,
+    activeJobs: jobs.reduce((sum, j) => sum + j.count, 0),
+    pendingDocuments: uploads?.count || 0,
+    pendingBytes: uploads?.bytes || 0
+  };
+}
+
+function quotaExceeded(reasons, quota, usage) {
+  const error = new Error(`Quota exceeded: ${reasons.join('; ')}`);
+  error.status = 429;
+  error.quota = quota;
+  error.usage = usage;
+  return error;
+}
+
+// Throws 429 when queuing `jobs` ingestions adding `documents` new documents
+// of `bytes` in total would go over the tenant's quota. Chunk counts are only
+// known after ingestion, so a tenant at its chunk limit can't ingest more.
+export async function checkIngestQuota(tenant, { jobs = 1, documents = 0, bytes = 0 } = {}) {
+  const [quota, usage] = await Promise.all([getQuota(tenant), getUsage(tenant)]);
+  const reasons = [];
+
+  if (quota.maxActiveJobs && usage.activeJobs + jobs > quota.maxActiveJobs) {
+    reasons.push(`at most ${quota.maxActiveJobs} ingestions can be queued or running (${usage.activeJobs} now)`);
+  }
+  if (documents && quota.maxDocuments && usage.documents + usage.pendingDocuments + documents > quota.maxDocuments) {
+    reasons.push(`document limit is ${quota.maxDocuments} (${usage.documents + usage.pendingDocuments} stored or queued)`);
+  }
+  if (bytes && quota.maxBytes && usage.bytes + usage.pendingBytes + bytes > quota.maxBytes) {
+    reasons.push(`storage limit is ${quota.maxBytes} bytes (${usage.bytes + usage.pendingBytes} used or queued)`);
+  }
+  if (documents && quota.maxChunks && usage.chunks >= quota.maxChunks) {
+    reasons.push(`chunk limit of ${quota.maxChunks} reached`);
+  }
+
+  if (reasons.length) throw quotaExceeded(reasons, quota, usage);
+  return { quota, usage };
+}
+
+// Checked again when a queued upload starts, as other uploads may have
+// filled the chunk quota meanwhile. A document that crosses the limit is
+// still indexed; the next one is refused.
+export async function checkChunkQuota(tenant) {
+  const quota = await getQuota(tenant);
+  if (!quota.maxChunks) return;
+  const chunks = await Chunk.countDocuments({ tenant });
+  if (chunks >= quota.maxChunks) {
+    throw quotaExceeded([`chunk limit of ${quota.maxChunks} reached`], quota, { chunks });
+  }
+}
+
+// Validate and store a tenant's overrides; null clears a field back to the default
+export async function setQuota(tenant, fields = {}) {
+  const $set = {};
+  const $unset = {};
+  for (const field of QUOTA_FIELDS) {
+    if (!(field in fields)) continue;
+    const value = fields[field];
+    if (value === null) {
+      $unset[field] = '';
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 0) throw badRequest(`${field} must be a non-negative integer (0: unlimited) or null`);
+    $set[field] = value;
+  }
+  if (!Object.keys($set).length && !Object.keys($unset).length) {
+    throw badRequest(`Set at least one of ${QUOTA_FIELDS.join(', ')}`);
+  }
+
+  await Quota.updateOne({ tenant }, { $set: { tenant, ...$set }, ...(Object.keys($unset).length && { $unset }) }, { upsert: true });
+  return getQuota(tenant);
+}
+
+export async function listQuotaOverrides() {
+  return Quota.find({}, { _id: 0, __v: 0 }).sort({ tenant: 1 }).lean();
+}
+
+export async function deleteQuota(tenant) {
+  const { deletedCount } = await Quota.deleteOne({ tenant });
+  return deletedCount > 0;
+}
@@ -0,0 +1,106 @@
+import { createLogger } from './logger.js';
+
+// Fixed-window request limits per client, kept in memory. Each server
+// process (or serverless instance) counts on its own, so with N instances a
+// client can make up to N times the limit.
+//
+//   UPLOAD_RATE_LIMIT / UPLOAD_RATE_WINDOW_MS  uploads and re-ingests (default 10 per minute)
+//   QUERY_RATE_LIMIT / QUERY_RATE_WINDOW_MS    queries, extractions, summaries (default 60 per minute)
+//
+// A limit of 0 disables it.
+
+const DEFAULT_LIMITS = {
+  upload: { limit: 10, windowMs: 60 * 1000 },
+  query: { limit: 60, windowMs: 60 * 1000 }
+};
+
+const PRUNE_MS = 60 * 1000;
+
+// `${name}|${client}` -> { count, resetAt }
+const windows = new Map();
+
+const logger = createLogger('rate-limit');
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of windows) {
+    if (window.resetAt <= now) windows.delete(key);
+  }
+}, PRUNE_MS).unref();
+
+function limitConfig(name) {
+  const prefix = name.toUpperCase();
+  const limit = Number(process.env[`${prefix}_RATE_LIMIT`] ?? DEFAULT_LIMITS[name].limit);
+  const windowMs = Number(process.env[`${prefix}_RATE_WINDOW_MS`] || DEFAULT_LIMITS[name].windowMs);
+  return { limit: Number.isFinite(limit) && limit > 0 ? limit : 0, windowMs };
+}
+
+// API keys and JWT subjects are limited per credential, anonymous requests
+// (AUTH_DISABLED, admin bootstrap key) per IP
+export function clientKey(req) {
+  if (req.auth?.keyId) return `key:${req.auth.keyId}`;
+  if (req.auth?.subject) return `user:${req.auth.tenant}/${req.auth.subject}`;
+  return `ip:${req.ip}`;
+}
+
+function currentWindow(name, client, windowMs, now) {
+  const key = `${name}|${client}`;
+  let window = windows.get(key);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowMs };
+    windows.set(key, window);
+  }
+  return window;
+}
+
+// Express middleware counting requests against the named limit; answers 429
+// with Retry-After once the window is used up
+export function rateLimit(name) {
+  return (req, res, next) => {
+    const { limit, windowMs } = limitConfig(name);
+    if (!limit) return next();
+
+    const now = Date.now();
+    const client = clientKey(req);
+    const window = currentWindow(name, client, windowMs, now);
+    window.count++;
+
+    const resetSeconds = Math.max(1, Math.ceil((window.resetAt - now) / 1000));
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+    if (window.count > limit) {
+      logger.warn('Rate limit reached', { limit: name, client });
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        ok: false,
+        error: `Too many ${name} requests: the limit is ${limit} per ${Math.round(windowMs / 1000)}s. Retry in ${resetSeconds}s.`,
+        retryAfter: resetSeconds
+      });
+    }
+    next();
+  };
+}
+
+export const uploadRateLimit = rateLimit('upload');
+export const queryRateLimit = rateLimit('query');
+
+// Limits and what is left of them for the requesting client
+export function getRateLimitStatus(req) {
+  const now = Date.now();
+  const client = clientKey(req);
+  return Object.fromEntries(Object.keys(DEFAULT_LIMITS).map(name => {
+    const { limit, windowMs } = limitConfig(name);
+    if (!limit) return [name, { limit: null, windowMs }];
+    const window = windows.get(`${name}|${client}`);
+    const active = window && window.resetAt > now;
+    return [name, {
+      limit,
+      windowMs,
+      remaining: Math.max(0, limit - (active ? window.count : 0)),
+      resetAt: active ? new Date(window.resetAt) : null
+    }];
+  }));
+}
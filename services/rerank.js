@@ -0,0 +1,69 @@
+import { AutoTokenizer, AutoModelForSequenceClassification } from '@huggingface/transformers';
+import { createLogger } from './logger.js';
+
+const DEFAULT_RERANK_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+let reranker = null;
+
+const logger = createLogger('rerank');
+
+function rerankModelId() {
+  return process.env.RERANK_MODEL || DEFAULT_RERANK_MODEL;
+}
+
+// Reranking is opt-in per request; RERANK_ENABLED=true turns it on by default
+export function isRerankEnabled(requested) {
+  if (requested !== undefined && requested !== null) return Boolean(requested);
+  return process.env.RERANK_ENABLED === 'true';
+}
+
+// Initialize the cross-encoder (only once)
+async function initializeReranker() {
+  if (!reranker) {
+    const modelId = rerankModelId();
+    logger.info('Loading cross-encoder model', { model: modelId });
+    try {
+      const [tokenizer, model] = await Promise.all([
+        AutoTokenizer.from_pretrained(modelId),
+        AutoModelForSequenceClassification.from_pretrained(modelId, { dtype: 'fp32' })
+      ]);
+      reranker = { tokenizer, model };
+      logger.info('Cross-encoder model loaded', { model: modelId });
+    } catch (error) {
+      logger.error('Failed to load cross-encoder model', { model: modelId, err: error });
+      throw error;
+    }
+  }
+  return reranker;
+}
+
+// Score every (question, context) pair with the cross-encoder and return the
+// contexts sorted by `rerankScore` (0-1), keeping their original `score`
+export async function rerankContexts(question, contexts, topK = contexts.length) {
+  if (!contexts.length) return [];
+
+  const { tokenizer, model } = await initializeReranker();
+  const inputs = tokenizer(new Array(contexts.length).fill(question), {
+    text_pair: contexts.map(c => c.text || ''),
+    padding: true,
+    truncation: true
+  });
+
+  const { logits } = await model(inputs);
+  const logitValues = Array.from(logits.data);
+
+  logger.debug('Reranked contexts with cross-encoder', { contexts: contexts.length });
+
+  return contexts
+    .map((context, i) => ({ ...context, rerankScore: 1 / (1 + Math.exp(-logitValues[i])) }))
+    .sort((a, b) => b.rerankScore - a.rerankScore)
+    .slice(0, topK);
+}
+
+export function getRerankModelInfo() {
+  return {
+    model: rerankModelId(),
+    type: 'cross-encoder',
+    local: true
+  };
+}
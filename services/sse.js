@@ -0,0 +1,27 @@
+import { createLogger } from './logger.js';
+
+// Server-sent events framing shared by the upload progress streams and
+// streaming queries: each event is one `data:` line of JSON.
+
+const logger = createLogger('sse');
+
+// Send the event-stream headers; extra headers are merged in
+export function openEventStream(res, headers = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Nginx would otherwise buffer the stream
+    'X-Accel-Buffering': 'no',
+    ...headers
+  });
+}
+
+// Write one event; a failed write (client gone) is logged, not thrown
+export function writeEvent(res, payload) {
+  try {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  } catch (error) {
+    logger.warn('Failed to send SSE event', { error: error.message });
+  }
+}
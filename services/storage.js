@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('storage');
+
+// Original uploads are kept here after ingestion (page previews, re-ingest)
+export const DOCUMENTS_DIR = process.env.DOCUMENTS_DIR || path.join(__dirname, '../uploads/documents');
+
+function safeName(docId) {
+  return docId.replace(/[^\w.-]+/g, '_').slice(0, 150);
+}
+
+// Move a multer temp file into document storage; returns the new path
+export function storeUpload(filePath, docId) {
+  if (!fs.existsSync(DOCUMENTS_DIR)) {
+    fs.mkdirSync(DOCUMENTS_DIR, { recursive: true });
+  }
+  // Already stored (e.g. a job resumed after a restart)
+  if (path.dirname(path.resolve(filePath)) === path.resolve(DOCUMENTS_DIR)) {
+    return filePath;
+  }
+
+  const ext = path.extname(filePath);
+  const storedPath = path.join(DOCUMENTS_DIR, `${safeName(docId)}${ext}`);
+  fs.renameSync(filePath, storedPath);
+  return storedPath;
+}
+
+// SHA-256 of a file's content (hex), used to spot duplicate uploads
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+export function removeStoredFile(filePath) {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (err) {
+    logger.warn('Failed to delete file', { file: filePath, error: err.message });
+  }
+}
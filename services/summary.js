@@ -0,0 +1,311 @@
+import Chunk from '../models/Chunk.js';
+import Document from '../models/Document.js';
+import { getLLMClient, getLLMConfig } from './generation.js';
+import { buildSectionSummaryMessages, buildSummaryMessages } from './prompts.js';
+import { tokenize } from './lexical.js';
+import { cleanText } from './language.js';
+import { createLogger } from './logger.js';
+
+// Whole-document summaries, built bottom-up: every chunk is read, consecutive
+// pages (or sections of non-paged formats) are summarized in groups (map),
+// and the group summaries are merged until one summary is left (reduce).
+// Without an LLM the same hierarchy picks each part's most central
+// sentences instead.
+
+// Word budget of the final summary and of each part's summary, and sentence
+// counts for heuristic summaries
+export const SUMMARY_LENGTHS = {
+  short: { words: 80, partWords: 40, sentences: 3, partSentences: 1 },
+  medium: { words: 200, partWords: 80, sentences: 6, partSentences: 2 },
+  long: { words: 450, partWords: 150, sentences: 12, partSentences: 3 }
+};
+export const SUMMARY_STYLES = ['paragraph', 'bullets', 'executive'];
+
+const PART_CHARS = Number(process.env.SUMMARY_PART_CHARS || 6000); // document text per map call
+const REDUCE_CHARS = Number(process.env.SUMMARY_REDUCE_CHARS || 8000); // part summaries per reduce call
+const CONCURRENCY = Number(process.env.SUMMARY_CONCURRENCY || 3); // parallel LLM calls
+
+const logger = createLogger('summary');
+
+const SENTENCE_SPLIT = /(?<=[.!?।॥。！？])\s+/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+// Validate ?length=&style=&refresh= and fill in defaults (medium, paragraph)
+export function parseSummaryOptions({ length, style, refresh } = {}) {
+  const resolvedLength = length || 'medium';
+  if (!SUMMARY_LENGTHS[resolvedLength]) {
+    throw badRequest(`Invalid summary length "${resolvedLength}". Expected one of: ${Object.keys(SUMMARY_LENGTHS).join(', ')}`);
+  }
+  const resolvedStyle = style || 'paragraph';
+  if (!SUMMARY_STYLES.includes(resolvedStyle)) {
+    throw badRequest(`Invalid summary style "${resolvedStyle}". Expected one of: ${SUMMARY_STYLES.join(', ')}`);
+  }
+  return { length: resolvedLength, style: resolvedStyle, refresh: refresh === true || refresh === 'true' || refresh === '1' };
+}
+
+function partLabel(pages, headings, index) {
+  if (pages.length) {
+    const from = Math.min(...pages);
+    const to = Math.max(...pages);
+    return from === to ? `Page ${from}` : `Pages ${from}-${to}`;
+  }
+  if (headings.length) return headings.slice(0, 3).join('; ') + (headings.length > 3 ? '; ...' : '');
+  return `Part ${index + 1}`;
+}
+
+// Consecutive chunks packed into parts of about PART_CHARS characters. Pages
+// and top-level headings are kept whole where they fit.
+function splitIntoParts(chunks) {
+  const parts = [];
+  let current = null;
+
+  const close = () => {
+    if (!current) return;
+    const pages = [...new Set(current.pages)];
+    parts.push({
+      label: partLabel(pages, [...new Set(current.headings)], parts.length),
+      pageFrom: pages.length ? Math.min(...pages) : null,
+      pageTo: pages.length ? Math.max(...pages) : null,
+      text: current.texts.join('\n\n')
+    });
+    current = null;
+  };
+
+  for (const chunk of chunks) {
+    const heading = chunk.metadata?.headings?.[0] || chunk.metadata?.sheet;
+    const key = chunk.page ?? heading ?? null;
+    const text = (chunk.text || '').trim();
+
+    for (let start = 0; start < text.length; start += PART_CHARS) {
+      const slice = text.slice(start, start + PART_CHARS);
+      if (current && current.length + slice.length > PART_CHARS && current.lastKey !== key) close();
+      // A page or section longer than the budget is cut where it overflows
+      if (current && current.length + slice.length > PART_CHARS * 1.5) close();
+      if (!current) current = { texts: [], pages: [], headings: [], length: 0, lastKey: null };
+
+      current.texts.push(slice);
+      current.length += slice.length;
+      current.lastKey = key;
+      if (chunk.page) current.pages.push(chunk.page);
+      if (heading) current.headings.push(heading);
+    }
+  }
+  close();
+  return parts;
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+// Groups of consecutive summaries that fit one reduce call, at least two per
+// group so every round shrinks the list
+function groupForReduce(summaries) {
+  const groups = [];
+  let group = [];
+  let size = 0;
+  for (const summary of summaries) {
+    if (group.length >= 2 && size + summary.summary.length > REDUCE_CHARS) {
+      groups.push(group);
+      group = [];
+      size = 0;
+    }
+    group.push(summary);
+    size += summary.summary.length;
+  }
+  if (group.length === 1 && groups.length) groups[groups.length - 1].push(group[0]);
+  else if (group.length) groups.push(group);
+  return groups;
+}
+
+// Label and page range covered by a group of consecutive summaries
+function mergedRange(group) {
+  const first = group[0];
+  const last = group[group.length - 1];
+  const pageFrom = first.pageFrom ?? null;
+  const pageTo = last.pageTo ?? null;
+  const startLabel = first.startLabel ?? first.label;
+  const endLabel = last.endLabel ?? last.label;
+  const label = pageFrom && pageTo ? partLabel([pageFrom, pageTo], [], 0) : `${startLabel} to ${endLabel}`;
+  return { label, startLabel, endLabel, pageFrom, pageTo };
+}
+
+function totalLength(summaries) {
+  return summaries.reduce((sum, s) => sum + s.summary.length, 0);
+}
+
+async function summarizeWithLLM(llm, parts, { filename, length, style }) {
+  const config = getLLMConfig();
+  const budget = SUMMARY_LENGTHS[length];
+  const complete = async (messages, words) => {
+    const completion = await llm.chat.completions.create({
+      model: config.model,
+      messages,
+      temperature: config.temperature,
+      // Roughly two tokens per word leaves room for non-English text
+      max_tokens: Math.max(config.maxTokens, words * 2)
+    });
+    const text = completion.choices?.[0]?.message?.content?.trim();
+    if (!text) throw new Error('LLM returned an empty summary');
+    return text;
+  };
+
+  const sections = await mapLimit(parts, CONCURRENCY, async part => ({
+    label: part.label,
+    pageFrom: part.pageFrom,
+    pageTo: part.pageTo,
+    summary: await complete(buildSectionSummaryMessages(part.label, part.text, budget.partWords), budget.partWords)
+  }));
+
+  // Merge part summaries in rounds until the rest fits one final call
+  let level = sections;
+  while (level.length > 1 && totalLength(level) > REDUCE_CHARS) {
+    const words = budget.partWords * 2;
+    level = await mapLimit(groupForReduce(level), CONCURRENCY, async group => ({
+      ...mergedRange(group),
+      summary: await complete(buildSummaryMessages(group, { words, style: 'paragraph' }), words)
+    }));
+    logger.debug('Reduced summaries', { groups: level.length });
+  }
+
+  const summary = await complete(buildSummaryMessages(level, { filename, words: budget.words, style }), budget.words);
+  return { summary, sections };
+}
+
+// Sentence scorer for extractive summaries: a sentence is central when its
+// terms recur in other sentences. Terms in half the sentences or more
+// (function words) and terms used once don't count.
+function createSentenceScorer(sentences) {
+  const sentenceCount = new Map();
+  for (const sentence of sentences) {
+    for (const term of new Set(tokenize(sentence))) sentenceCount.set(term, (sentenceCount.get(term) || 0) + 1);
+  }
+  const common = Math.max(2, sentences.length / 2);
+
+  return sentence => {
+    const terms = [...new Set(tokenize(sentence))].filter(t => t.length > 2 && !/^\d+$/.test(t));
+    if (!terms.length) return 0;
+    const weight = terms.reduce((sum, t) => {
+      const count = sentenceCount.get(t) || 0;
+      return count > 1 && count <= common ? sum + Math.log(count) * Math.log(1 + sentences.length / count) : sum;
+    }, 0);
+    return weight / Math.sqrt(terms.length);
+  };
+}
+
+function splitSentences(text) {
+  return cleanText(text)
+    .split(SENTENCE_SPLIT)
+    .map(s => s.trim())
+    // Table rows and OCR noise make poor summary sentences
+    .filter(s => s.length > 20 && s.length < 500 && /\p{L}{3}/u.test(s));
+}
+
+// Highest-scoring sentences, in document order
+function topSentences(sentences, score, count) {
+  return sentences
+    .map((sentence, index) => ({ sentence, index, score: score(sentence) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .sort((a, b) => a.index - b.index)
+    .map(s => s.sentence);
+}
+
+function formatSentences(sentences, style) {
+  if (!sentences.length) return '';
+  if (style === 'bullets') return sentences.map(s => `- ${s}`).join('\n');
+  if (style === 'executive') {
+    const [overview, ...points] = sentences;
+    return [overview, points.map(s => `- ${s}`).join('\n')].filter(Boolean).join('\n\n');
+  }
+  return sentences.join(' ');
+}
+
+function summarizeExtractively(parts, { length, style }) {
+  const budget = SUMMARY_LENGTHS[length];
+  const partSentences = parts.map(part => [...new Set(splitSentences(part.text))]);
+  const score = createSentenceScorer(partSentences.flat());
+
+  // Short documents have few parts; each gives more sentences to fill the summary
+  const perPart = Math.max(budget.partSentences, Math.ceil(budget.sentences / parts.length));
+
+  const sections = parts.map((part, i) => {
+    const picked = topSentences(partSentences[i], score, perPart);
+    return { label: part.label, pageFrom: part.pageFrom, pageTo: part.pageTo, sentences: picked };
+  });
+  const overall = topSentences([...new Set(sections.flatMap(s => s.sentences))], score, budget.sentences);
+
+  return {
+    summary: formatSentences(overall, style) || 'No summarizable text found in this document.',
+    sections: sections.map(({ sentences, ...section }) => ({ ...section, summary: sentences.join(' ') }))
+  };
+}
+
+// Summarize every chunk of a document. Results are cached on the Document
+// record per length and style until the document is ingested again.
+// Returns { docId, filename, length, style, method, summary, sections[], chunkCount, generatedAt, cached }
+export async function summarizeDocument(docId, { tenant, length = 'medium', style = 'paragraph', refresh = false } = {}) {
+  const cacheKey = `${length}_${style}`;
+  const record = await Document.findOne({ docId, tenant }).lean();
+  const cachedSummary = record?.summaries?.[cacheKey];
+  if (cachedSummary && !refresh) {
+    return { docId, filename: record.filename, ...cachedSummary, cached: true };
+  }
+
+  const chunks = await Chunk.find({ docId, tenant }, { text: 1, page: 1, type: 1, metadata: 1 })
+    .sort({ page: 1, createdAt: 1 })
+    .lean();
+  if (!chunks.length) throw notFound('Document not found');
+
+  const parts = splitIntoParts(chunks);
+  const filename = record?.filename || docId;
+  logger.debug('Summarizing document', { docId, chunks: chunks.length, parts: parts.length, length, style });
+
+  let result = null;
+  let method = 'extractive';
+  const llm = getLLMClient();
+  if (llm) {
+    try {
+      result = await summarizeWithLLM(llm, parts, { filename, length, style });
+      method = 'llm';
+    } catch (error) {
+      logger.warn('LLM summary failed, using extractive summary', { error: error.message });
+    }
+  }
+  if (!result) result = summarizeExtractively(parts, { length, style });
+
+  const summary = { length, style, method, ...result, chunkCount: chunks.length, generatedAt: new Date() };
+  if (record) {
+    // Skipped if the document was re-ingested meanwhile (recordDocument bumps
+    // updatedAt and clears the cache); writing the cache leaves updatedAt as is
+    await Document.updateOne(
+      { docId, tenant, updatedAt: record.updatedAt },
+      { $set: { [`summaries.${cacheKey}`]: summary } },
+      { timestamps: false }
+    );
+  }
+
+  logger.info('Summarized document', { docId, length, style, method });
+  return { docId, filename, ...summary, cached: false };
+}
@@ -0,0 +1,169 @@
+// Table detection from positioned words ({ text, bbox } from pdfjs text items
+// or Tesseract). Words are grouped into lines, lines into cells by horizontal
+// gaps, and runs of multi-cell lines whose cells line up become tables.
+
+const MIN_ROWS = 3;
+const MIN_COLUMNS = 2;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function union(boxes) {
+  return [
+    Math.min(...boxes.map(b => b[0])),
+    Math.min(...boxes.map(b => b[1])),
+    Math.max(...boxes.map(b => b[2])),
+    Math.max(...boxes.map(b => b[3]))
+  ];
+}
+
+// Words sharing a vertical band, sorted left to right
+function groupLines(words, lineHeight) {
+  const sorted = [...words].sort((a, b) => (a.bbox[1] + a.bbox[3]) - (b.bbox[1] + b.bbox[3]));
+  const lines = [];
+  for (const word of sorted) {
+    const center = (word.bbox[1] + word.bbox[3]) / 2;
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(center - line.center) <= lineHeight * 0.5) {
+      line.words.push(word);
+      line.center = (line.center * (line.words.length - 1) + center) / line.words.length;
+    } else {
+      lines.push({ center, words: [word] });
+    }
+  }
+  for (const line of lines) line.words.sort((a, b) => a.bbox[0] - b.bbox[0]);
+  return lines;
+}
+
+// Split a line into cells wherever the gap between words exceeds `minGap`
+function splitCells(line, minGap) {
+  const cells = [];
+  for (const word of line.words) {
+    const cell = cells[cells.length - 1];
+    if (cell && word.bbox[0] - cell.bbox[2] < minGap) {
+      cell.words.push(word);
+      cell.bbox = union([cell.bbox, word.bbox]);
+    } else {
+      cells.push({ words: [word], bbox: [...word.bbox] });
+    }
+  }
+  return cells.map(c => ({ text: c.words.map(w => w.text).join(' '), bbox: c.bbox, words: c.words }));
+}
+
+// Cluster cell left edges into column anchors
+function columnAnchors(rows, tolerance) {
+  const edges = rows.flatMap(r => r.cells.map(c => c.bbox[0])).sort((a, b) => a - b);
+  const anchors = [];
+  for (const x of edges) {
+    const last = anchors[anchors.length - 1];
+    if (last && x - last.max <= tolerance) {
+      last.max = x;
+      last.count++;
+    } else {
+      anchors.push({ min: x, max: x, count: 1 });
+    }
+  }
+  // Keep anchors used by at least half of the rows
+  return anchors.filter(a => a.count >= Math.ceil(rows.length / 2)).map(a => a.min);
+}
+
+function buildTable(rows, tolerance) {
+  const anchors = columnAnchors(rows, tolerance);
+  if (anchors.length < MIN_COLUMNS) return null;
+
+  const grid = rows.map(row => {
+    const cells = new Array(anchors.length).fill('');
+    for (const cell of row.cells) {
+      // Rightmost anchor at or left of the cell start
+      let col = 0;
+      for (let i = 0; i < anchors.length; i++) {
+        if (cell.bbox[0] >= anchors[i] - tolerance) col = i;
+      }
+      cells[col] = cells[col] ? `${cells[col]} ${cell.text}` : cell.text;
+    }
+    return cells;
+  });
+
+  const words = rows.flatMap(r => r.cells.flatMap(c => c.words));
+  return {
+    header: grid[0],
+    rows: grid.slice(1),
+    bbox: union(words.map(w => w.bbox)),
+    words
+  };
+}
+
+// Returns [{ header, rows, bbox, words }] for each table found on a page
+export function detectTables(words) {
+  const positioned = words.filter(w => w.bbox && w.text);
+  if (positioned.length < MIN_ROWS * MIN_COLUMNS) return [];
+
+  const lineHeight = median(positioned.map(w => w.bbox[3] - w.bbox[1])) || 1;
+  const charWidth = median(positioned.map(w => (w.bbox[2] - w.bbox[0]) / Math.max(w.text.length, 1))) || 1;
+  // Word spaces are ~1 char wide; column gutters are clearly wider
+  const minGap = Math.max(charWidth * 2.5, lineHeight * 0.8);
+  const tolerance = Math.max(charWidth * 2, lineHeight * 0.5);
+
+  const lines = groupLines(positioned, lineHeight).map(line => ({ ...line, cells: splitCells(line, minGap) }));
+
+  const tables = [];
+  let run = [];
+  const flush = () => {
+    if (run.length >= MIN_ROWS) {
+      const table = buildTable(run, tolerance);
+      if (table && table.rows.length >= MIN_ROWS - 1) tables.push(table);
+    }
+    run = [];
+  };
+
+  for (const line of lines) {
+    const previous = run[run.length - 1];
+    // A large vertical jump ends the current table
+    const contiguous = !previous || line.center - previous.center <= lineHeight * 3;
+    if (line.cells.length >= MIN_COLUMNS && contiguous) {
+      run.push(line);
+    } else {
+      flush();
+      if (line.cells.length >= MIN_COLUMNS) run.push(line);
+    }
+  }
+  flush();
+
+  return tables;
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+// Parse one CSV line (quoted fields, doubled quotes)
+export function parseCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
@@ -0,0 +1,37 @@
+import { createAtlasStore } from './vectorStores/atlasStore.js';
+import { createLocalStore } from './vectorStores/localStore.js';
+import { createLogger } from './logger.js';
+
+// Every backend implements the same interface:
+//   index(docs)                                  -> persist chunk records (with vectors)
+//   search(queryVector, { limit, filter, embeddingModel, tenant })
+//                                                 -> [{ _id, docId, text, metadata, source, page, type, score }]
+//   keywordSearch(query, { limit, filter, tenant })
+//                                                 -> same shape, lexical score
+//   replace(docId, docs, tenant)                  -> atomically swap a tenant's document chunks
+//   remove(docId, tenant)                         -> number of the tenant's chunks removed
+// `tenant` and `filter` (chunk filter from services/filters.js: docIds, types,
+// page range) restrict a search before ranking, never after the limit
+//   embeddingModels(tenant)                       -> models behind the tenant's vectors (null = untracked)
+const backends = {
+  atlas: createAtlasStore,
+  local: createLocalStore
+};
+
+let store = null;
+
+const logger = createLogger('vector-store');
+
+// Backend is chosen with VECTOR_STORE=atlas|local (default: atlas)
+export function getVectorStore() {
+  if (!store) {
+    const name = (process.env.VECTOR_STORE || 'atlas').toLowerCase();
+    const create = backends[name];
+    if (!create) {
+      throw new Error(`Unknown VECTOR_STORE "${name}". Expected one of: ${Object.keys(backends).join(', ')}`);
+    }
+    store = create();
+    logger.info('Using vector store', { backend: store.name });
+  }
+  return store;
+}
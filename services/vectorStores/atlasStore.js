@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import Chunk from '../../models/Chunk.js';
+import { replaceChunks } from './chunkWrites.js';
+import { toMongoFilter } from '../filters.js';
+import { LEGACY_EMBEDDING_MODEL } from '../embeddingModels.js';
+
+// MongoDB Atlas backend: chunks live in the `chunks` collection and are
+// searched through the Atlas `$vectorSearch` stage (vectors) and a Mongo
+// text index (keywords)
+export function createAtlasStore({ indexName = process.env.VECTOR_INDEX_NAME || 'vector_index' } = {}) {
+  return {
+    name: 'atlas',
+
+    async index(docs) {
+      if (!docs.length) return [];
+      return Chunk.insertMany(docs);
+    },
+
+    async replace(docId, docs, tenant) {
+      return replaceChunks(docId, docs, tenant);
+    },
+
+    async search(queryVector, { limit = 15, filter = null, embeddingModel = null, tenant = null } = {}) {
+      const collection = mongoose.connection.collection('chunks');
+
+      const vectorStage = {
+        index: indexName,
+        path: 'vector',
+        queryVector,
+        numCandidates: Math.max(100, limit * 4),
+        limit
+      };
+      // Pre-filters; every field used here (tenant, embeddingModel, docId,
+      // type, page) must be declared as a filter field in the index
+      const preFilter = toMongoFilter(filter);
+      if (tenant) preFilter.tenant = tenant;
+      // Chunks from before models were tracked have no embeddingModel and
+      // count as the legacy model, as in the local store
+      if (embeddingModel) {
+        preFilter.embeddingModel = embeddingModel === LEGACY_EMBEDDING_MODEL
+          ? { $in: [embeddingModel, null] }
+          : embeddingModel;
+      }
+      if (Object.keys(preFilter).length) {
+        vectorStage.filter = preFilter;
+      }
+
+      return collection.aggregate([
+        { $vectorSearch: vectorStage },
+        { $project: { docId: 1, text: 1, metadata: 1, source: 1, page: 1, type: 1, lang: 1, score: { $meta: 'vectorSearchScore' } } }
+      ]).toArray();
+    },
+
+    // Lexical search through the `text` index declared on the Chunk model
+    async keywordSearch(query, { limit = 15, filter = null, tenant = null } = {}) {
+      const match = { $text: { $search: query }, ...toMongoFilter(filter) };
+      if (tenant) match.tenant = tenant;
+
+      return Chunk.find(match, {
+        docId: 1, text: 1, metadata: 1, source: 1, page: 1, type: 1, lang: 1, score: { $meta: 'textScore' }
+      })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean();
+    },
+
+    async remove(docId, tenant) {
+      const { deletedCount } = await Chunk.deleteMany({ docId, tenant });
+      return deletedCount;
+    },
+
+    // Both read the { tenant, embeddingModel } index. distinct leaves out
+    // chunks without the field, so untracked ones are looked up separately.
+    async embeddingModels(tenant) {
+      const [models, untracked] = await Promise.all([
+        Chunk.distinct('embeddingModel', { tenant }),
+        Chunk.exists({ tenant, embeddingModel: null })
+      ]);
+      return [...models.filter(Boolean), ...(untracked ? [null] : [])];
+    }
+  };
+}
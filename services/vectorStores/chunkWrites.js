@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import Chunk from '../../models/Chunk.js';
+
+// Standalone mongod has no transactions (they need a replica set, as on Atlas)
+function transactionsUnsupported(error) {
+  return error?.code === 20 || /replica set|Transaction numbers/i.test(error?.message || '');
+}
+
+// Swap all of the tenant's chunks of docId for `docs`. Runs in a transaction when the server
+// supports it; otherwise the new chunks are inserted before the old ones are
+// deleted, so readers may briefly see both but never neither.
+export async function replaceChunks(docId, docs, tenant) {
+  const session = await mongoose.startSession();
+  try {
+    let inserted;
+    await session.withTransaction(async () => {
+      await Chunk.deleteMany({ docId, tenant }, { session });
+      inserted = await Chunk.insertMany(docs, { session });
+    });
+    return inserted;
+  } catch (error) {
+    if (!transactionsUnsupported(error)) throw error;
+    const inserted = await Chunk.insertMany(docs);
+    await Chunk.deleteMany({ docId, tenant, _id: { $nin: inserted.map(d => d._id) } });
+    return inserted;
+  } finally {
+    await session.endSession();
+  }
+}
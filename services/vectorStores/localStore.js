@@ -0,0 +1,146 @@
+import Chunk from '../../models/Chunk.js';
+import { createBM25Index } from '../lexical.js';
+import { replaceChunks } from './chunkWrites.js';
+import { LEGACY_EMBEDDING_MODEL } from '../embeddingModels.js';
+import { matchesFilter } from '../filters.js';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('vector-store');
+
+// Local backend: exact cosine and BM25 search over an in-process index, so
+// any plain mongod works (no Atlas `vector_index` needed). The index is
+// hydrated from the `chunks` collection on first search and kept in sync by
+// index/remove.
+export function createLocalStore() {
+  let entries = null;
+  let loading = null;
+  let bm25 = null; // rebuilt lazily whenever entries change
+
+  function toEntry(doc) {
+    return {
+      _id: doc._id,
+      docId: doc.docId,
+      tenant: doc.tenant,
+      text: doc.text,
+      metadata: doc.metadata || {},
+      source: doc.source,
+      page: doc.page,
+      type: doc.type,
+      lang: doc.lang,
+      vector: doc.vector,
+      embeddingModel: doc.embeddingModel || null,
+      norm: vectorNorm(doc.vector)
+    };
+  }
+
+  async function load() {
+    if (entries) return entries;
+    if (!loading) {
+      loading = Chunk.find({}, { docId: 1, tenant: 1, text: 1, metadata: 1, source: 1, page: 1, type: 1, lang: 1, vector: 1, embeddingModel: 1 })
+        .lean()
+        .then(docs => {
+          entries = docs.filter(d => d.vector?.length).map(toEntry);
+          bm25 = null;
+          logger.info('Local vector index loaded', { chunks: entries.length });
+          return entries;
+        })
+        .finally(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  return {
+    name: 'local',
+
+    async index(docs) {
+      if (!docs.length) return [];
+      const inserted = await Chunk.insertMany(docs);
+      // Only append once hydrated; otherwise the first load picks them up
+      if (entries) {
+        entries.push(...inserted.map(d => toEntry(d.toObject())).filter(e => e.vector?.length));
+        bm25 = null;
+      }
+      return inserted;
+    },
+
+    async replace(docId, docs, tenant) {
+      const inserted = await replaceChunks(docId, docs, tenant);
+      if (entries) {
+        entries = entries
+          .filter(e => e.docId !== docId || e.tenant !== tenant)
+          .concat(inserted.map(d => toEntry(d.toObject())).filter(e => e.vector?.length));
+        bm25 = null;
+      }
+      return inserted;
+    },
+
+    async search(queryVector, { limit = 15, filter = null, embeddingModel = null, tenant = null } = {}) {
+      const all = await load();
+      const queryNorm = vectorNorm(queryVector);
+
+      const scored = [];
+      for (const entry of all) {
+        if (tenant && entry.tenant !== tenant) continue;
+        if (!matchesFilter(entry, filter)) continue;
+        if (entry.vector.length !== queryVector.length) continue;
+        if (embeddingModel && (entry.embeddingModel || LEGACY_EMBEDDING_MODEL) !== embeddingModel) continue;
+        const cosine = dot(queryVector, entry.vector) / ((queryNorm * entry.norm) || 1);
+        // Same scale as Atlas' cosine vectorSearchScore: (1 + cosine) / 2
+        scored.push({ entry, score: (1 + cosine) / 2 });
+      }
+
+      scored.sort((a, b) => b.score - a.score);
+
+      return scored.slice(0, limit).map(toResult);
+    },
+
+    // In-process BM25 over the same entries
+    async keywordSearch(query, { limit = 15, filter = null, tenant = null } = {}) {
+      const all = await load();
+      if (!bm25) bm25 = createBM25Index(all);
+      const predicate = (tenant || filter)
+        ? entry => (!tenant || entry.tenant === tenant) && matchesFilter(entry, filter)
+        : null;
+
+      return bm25.search(query, { limit, predicate }).map(toResult);
+    },
+
+    async remove(docId, tenant) {
+      const { deletedCount } = await Chunk.deleteMany({ docId, tenant });
+      if (entries) {
+        entries = entries.filter(e => e.docId !== docId || e.tenant !== tenant);
+        bm25 = null;
+      }
+      return deletedCount;
+    },
+
+    async embeddingModels(tenant) {
+      const all = await load();
+      return [...new Set(all.filter(e => e.tenant === tenant).map(e => e.embeddingModel))];
+    }
+  };
+}
+
+function toResult({ entry, score }) {
+  return {
+    _id: entry._id,
+    docId: entry.docId,
+    text: entry.text,
+    metadata: entry.metadata,
+    source: entry.source,
+    page: entry.page,
+    type: entry.type,
+    lang: entry.lang,
+    score
+  };
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function vectorNorm(v = []) {
+  return Math.sqrt(dot(v, v));
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, chunkTableCSV, resolveChunkStrategy } from '../../services/chunk.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+// Assertions hold for the model tokenizer and the offline estimate alike
+const MAX_TOKENS = 40;
+const paragraph = n => `Paragraph ${n} covers the inspection of pressure vessels, welding seams and the certificates issued for them.`;
+const text = Array.from({ length: 12 }, (_, i) => paragraph(i + 1)).join('\n\n');
+
+for (const strategy of ['fixed', 'recursive']) {
+  test(`${strategy} chunks fit the token limit and point back into the text`, async () => {
+    const chunks = await chunkText(text, { source: 'a.pdf', page: 3, strategy, maxTokens: MAX_TOKENS });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      const { offsets, tokenCount } = chunk.metadata;
+      assert.equal(chunk.metadata.strategy, strategy);
+      assert.equal(chunk.text, text.slice(offsets.start, offsets.end));
+      assert.ok(chunk.text.trim());
+      assert.ok(tokenCount <= MAX_TOKENS + 2, `${tokenCount} tokens`);
+      assert.equal(chunk.page, 3);
+    }
+    // Every paragraph lands in some chunk
+    const covered = chunks.map(c => c.text).join(' ');
+    for (let i = 1; i <= 12; i++) assert.ok(covered.includes(`Paragraph ${i} `));
+  });
+}
+
+test('unknown chunking strategies are rejected', () => {
+  assert.equal(resolveChunkStrategy('text', 'fixed'), 'fixed');
+  assert.throws(() => resolveChunkStrategy('text', 'sentences'), { status: 400 });
+});
+
+test('tables are windowed with the header repeated in every chunk', async () => {
+  const header = 'id,name,status';
+  const rows = Array.from({ length: 60 }, (_, i) => `${i},item ${i},ok`);
+  rows.splice(10, 0, '');
+  const chunks = await chunkTableCSV([header, ...rows].join('\n'), { source: 't.xlsx', page: 1, metadata: { sheet: 'S1' } });
+
+  assert.ok(chunks.length >= 3);
+  let seen = 0;
+  for (const chunk of chunks) {
+    const { metadata } = chunk;
+    assert.equal(chunk.type, 'table');
+    assert.ok(chunk.text.startsWith(`Table snippet:\n${header}\n`));
+    assert.deepEqual(metadata.columns, ['id', 'name', 'status']);
+    assert.equal(metadata.sheet, 'S1');
+    assert.ok(metadata.rows.length <= 25);
+    // rowOffset indexes the data rows, blank ones included
+    assert.deepEqual(metadata.rows[0], rows[metadata.rowOffset].split(','));
+    seen += metadata.rows.length;
+  }
+  // The blank row is skipped
+  assert.equal(seen, 60);
+});
+
+test('a row wider than the window is split into parts', async () => {
+  const wide = Array.from({ length: 80 }, (_, i) => `value${i}`).join(' ');
+  const chunks = await chunkTableCSV(`id,notes\n1,short\n2,${wide}\n3,short`, { source: 't.csv', page: 1, maxTokens: MAX_TOKENS });
+
+  const parts = chunks.filter(c => c.metadata.rowPart !== undefined);
+  assert.ok(parts.length > 1);
+  parts.forEach((chunk, i) => {
+    assert.equal(chunk.metadata.rowPart, i);
+    assert.equal(chunk.metadata.rowOffset, 1);
+    assert.ok(chunk.text.startsWith('Table snippet:\nid,notes\n'));
+    assert.ok(chunk.metadata.tokenCount <= MAX_TOKENS + 2, `${chunk.metadata.tokenCount} tokens`);
+  });
+  assert.equal(chunks.length, parts.length + 2);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractField } from '../../services/fieldExtraction.js';
+import { validateExtractionSchema } from '../../services/extractionSchemas.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+// Patterns that backtrack exponentially on text that almost matches
+const CATASTROPHIC = [
+  { pattern: '(a|a)*$', text: `${'a'.repeat(29)}!` },
+  { pattern: '(\\w|\\d)+$', text: `${'a'.repeat(29)}!` },
+  { pattern: '\\w*\\w*\\w*\\w*\\w*\\w*!', text: 'a'.repeat(60) }
+];
+
+function schemaWith(definition) {
+  return { type: 'object', properties: { field: { type: 'string', ...definition } } };
+}
+
+for (const { pattern, text } of CATASTROPHIC) {
+  test(`pattern ${pattern} is stopped by the time limit`, () => {
+    const started = Date.now();
+    const result = extractField('field', { type: 'string', pattern }, [{ _id: 'c1', text }, { _id: 'c2', text }]);
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+    assert.ok(result.value === null || typeof result.value === 'string');
+  });
+}
+
+test('patterns that finish keep matching', () => {
+  const result = extractField(
+    'certificateId',
+    { type: 'string', pattern: '[A-Z0-9][A-Z0-9-]{4,}', 'x-labels': ['certificate id'] },
+    [{ _id: 'c1', page: 2, text: 'Awarded to Jane. Certificate ID: ABC-12345' }]
+  );
+  assert.equal(result.value, 'ABC-12345');
+  assert.equal(result.chunkId, 'c1');
+  assert.equal(result.page, 2);
+});
+
+test('nested quantifiers and backreferences are rejected', () => {
+  for (const pattern of ['(a+)+$', '(\\w*\\s?)*x', '((a)+b)*', '(a{2,})+', '(x)\\1', '(?<n>a)\\k<n>', 'a'.repeat(201)]) {
+    assert.throws(() => validateExtractionSchema(schemaWith({ pattern })), { status: 400 }, pattern);
+  }
+  for (const pattern of ['(?:ab)+', '[(+]+', '\\(a+\\)+', '[A-Z0-9][A-Z0-9-]{4,}']) {
+    assert.doesNotThrow(() => validateExtractionSchema(schemaWith({ pattern })), pattern);
+  }
+});
+
+test('labels and titles must be strings', () => {
+  assert.throws(() => validateExtractionSchema(schemaWith({ 'x-labels': [1] })), { status: 400 });
+  assert.throws(() => validateExtractionSchema(schemaWith({ 'x-labels': 'total' })), { status: 400 });
+  assert.throws(() => validateExtractionSchema(schemaWith({ title: 5 })), { status: 400 });
+  assert.doesNotThrow(() => validateExtractionSchema(schemaWith({ 'x-labels': ['total'], title: 'Total' })));
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chunk from '../../models/Chunk.js';
+import Document from '../../models/Document.js';
+import { parseQueryFilters, resolveChunkFilter, toMongoFilter, matchesFilter } from '../../services/filters.js';
+
+test('query filters are validated and normalized', () => {
+  assert.equal(parseQueryFilters(undefined), null);
+  assert.equal(parseQueryFilters({}), null);
+  assert.deepEqual(parseQueryFilters({ docId: 'd1', type: ['table', 'table'], pageFrom: '2', pageTo: 4 }), {
+    docId: ['d1'], type: ['table'], pageFrom: 2, pageTo: 4
+  });
+
+  assert.throws(() => parseQueryFilters('docId=1'), { status: 400 });
+  assert.throws(() => parseQueryFilters({ type: 'spreadsheet' }), { status: 400 });
+  assert.throws(() => parseQueryFilters({ pageFrom: 0 }), { status: 400 });
+  assert.throws(() => parseQueryFilters({ pageFrom: 5, pageTo: 2 }), { status: 400 });
+  assert.throws(() => parseQueryFilters({ source: [] }), { status: 400 });
+  assert.throws(() => parseQueryFilters({ uploadedAfter: 'yesterday' }), { status: 400 });
+});
+
+test('a date-only uploadedBefore includes the whole day', () => {
+  const filters = parseQueryFilters({ uploadedAfter: '2024-03-01', uploadedBefore: '2024-03-31' });
+
+  assert.equal(filters.uploadedAfter.toISOString(), '2024-03-01T00:00:00.000Z');
+  assert.equal(filters.uploadedBefore.toISOString(), '2024-03-31T23:59:59.999Z');
+  assert.equal(parseQueryFilters({ uploadedBefore: '2024-03-31T10:00:00Z' }).uploadedBefore.toISOString(), '2024-03-31T10:00:00.000Z');
+  // Normalized filters parse to themselves
+  assert.deepEqual(parseQueryFilters(filters), filters);
+});
+
+test('chunk filters become Mongo pre-filters and in-memory predicates alike', () => {
+  const filter = { docIds: ['d1'], types: ['text'], pageFrom: 2, pageTo: 3 };
+
+  assert.deepEqual(toMongoFilter(filter), {
+    docId: { $in: ['d1'] }, type: { $in: ['text'] }, page: { $gte: 2, $lte: 3 }
+  });
+  assert.deepEqual(toMongoFilter(null), {});
+  assert.equal(matchesFilter({ docId: 'd1', type: 'text', page: 2 }, filter), true);
+  assert.equal(matchesFilter({ docId: 'd1', type: 'text', page: 4 }, filter), false);
+  assert.equal(matchesFilter({ docId: 'd1', type: 'text', page: null }, filter), false);
+  assert.equal(matchesFilter({ docId: 'd2', type: 'text', page: 2 }, filter), false);
+  assert.equal(matchesFilter({ docId: 'd1', type: 'table', page: 2 }, filter), false);
+});
+
+test('chunk-level filters need no document lookup', async (t) => {
+  const find = t.mock.method(Document, 'find');
+
+  assert.deepEqual(await resolveChunkFilter(parseQueryFilters({ docId: 'd1', type: 'table' }), 'acme'), {
+    docIds: ['d1'], types: ['table']
+  });
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('source and dates resolve to the tenant\'s docIds, with unrecorded chunks matched on their file', async (t) => {
+  const find = t.mock.method(Document, 'find', () => ({ lean: async () => [{ docId: 'recorded' }] }));
+  const chunkDistinct = t.mock.method(Chunk, 'distinct', async () => ['recorded', 'legacy']);
+  t.mock.method(Document, 'distinct', async () => ['recorded']);
+
+  const filter = await resolveChunkFilter(parseQueryFilters({ source: 'report', uploadedBefore: '2024-03-31' }), 'acme');
+
+  assert.deepEqual(filter, { docIds: ['recorded', 'legacy'] });
+  const [documentQuery] = find.mock.calls[0].arguments;
+  assert.equal(documentQuery.tenant, 'acme');
+  assert.equal(documentQuery.filename.$regex, 'report');
+  assert.equal(documentQuery.createdAt.$lte.toISOString(), '2024-03-31T23:59:59.999Z');
+  const [, chunkQuery] = chunkDistinct.mock.calls[0].arguments;
+  assert.equal(chunkQuery.tenant, 'acme');
+  assert.match('/uploads/1700000000000-Report.pdf', new RegExp(chunkQuery.source.$regex, chunkQuery.source.$options));
+  assert.doesNotMatch('/report/other.pdf', new RegExp(chunkQuery.source.$regex, chunkQuery.source.$options));
+});
+
+test('a filter no document matches yields an empty docId list', async (t) => {
+  t.mock.method(Document, 'find', () => ({ lean: async () => [] }));
+
+  assert.deepEqual(await resolveChunkFilter(parseQueryFilters({ uploadedAfter: '2030-01-01' }), 'acme'), { docIds: [] });
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reciprocalRankFusion, resolveRetrievalOptions } from '../../services/hybrid.js';
+
+const hit = (id, score) => ({ _id: id, text: id, score });
+
+test('reciprocal rank fusion sums weight / (k + rank) across lists', () => {
+  const fused = reciprocalRankFusion([
+    { name: 'vector', weight: 1, results: [hit('a', 0.9), hit('b', 0.8)] },
+    { name: 'keyword', weight: 1, results: [hit('b', 7), hit('c', 3)] }
+  ], { k: 60 });
+
+  assert.deepEqual(fused.map(r => r._id), ['b', 'a', 'c']);
+  assert.equal(fused[0].score, 1 / 62 + 1 / 61);
+  assert.equal(fused[1].score, 1 / 61);
+  // Each list's own score is kept next to the fused one
+  assert.equal(fused[0].vectorScore, 0.8);
+  assert.equal(fused[0].keywordScore, 7);
+  assert.equal(fused[1].keywordScore, undefined);
+});
+
+test('fusion ranks by position, not by the lists\' raw scores', () => {
+  const fused = reciprocalRankFusion([
+    { name: 'vector', weight: 1, results: [hit('a', 0.51)] },
+    { name: 'keyword', weight: 1, results: [hit('b', 40)] }
+  ], { k: 60 });
+
+  assert.equal(fused[0].score, fused[1].score);
+});
+
+test('weights shift the ranking and a zero weight drops a list', () => {
+  const lists = weight => [
+    { name: 'vector', weight, results: [hit('a', 0.9)] },
+    { name: 'keyword', weight: 1, results: [hit('b', 5)] }
+  ];
+
+  assert.deepEqual(reciprocalRankFusion(lists(2)).map(r => r._id), ['a', 'b']);
+  assert.deepEqual(reciprocalRankFusion(lists(0)).map(r => r._id), ['b']);
+});
+
+test('results without an _id are matched on source, page and text', () => {
+  const chunk = { source: 's.pdf', page: 1, text: 'same chunk' };
+  const fused = reciprocalRankFusion([
+    { name: 'vector', weight: 1, results: [{ ...chunk, score: 0.7 }] },
+    { name: 'keyword', weight: 1, results: [{ ...chunk, score: 2 }] }
+  ]);
+
+  assert.equal(fused.length, 1);
+});
+
+test('retrieval options are validated with defaults filled in', () => {
+  assert.deepEqual(resolveRetrievalOptions({ mode: 'hybrid' }), { mode: 'hybrid', vectorWeight: 1, keywordWeight: 1, rrfK: 60 });
+  assert.deepEqual(resolveRetrievalOptions({ mode: 'Keyword', keywordWeight: '2', rrfK: 10 }), { mode: 'keyword', vectorWeight: 1, keywordWeight: 2, rrfK: 10 });
+
+  assert.throws(() => resolveRetrievalOptions({ mode: 'fuzzy' }), { status: 400 });
+  assert.throws(() => resolveRetrievalOptions({ vectorWeight: -1 }), { status: 400 });
+  assert.throws(() => resolveRetrievalOptions({ mode: 'hybrid', vectorWeight: 0, keywordWeight: 0 }), { status: 400 });
+  assert.throws(() => resolveRetrievalOptions({ rrfK: 0 }), { status: 400 });
+});
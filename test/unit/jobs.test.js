@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Chunk from '../../models/Chunk.js';
+import Job from '../../models/Job.js';
+import { cancelJob, recoverInterruptedJobs } from '../../services/jobs.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function tempFile(name) {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, 'content');
+  return filePath;
+}
+
+function makeJob(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(), type: 'ingest', status: 'queued', tenant: 'acme',
+    docId: 'doc-1', filename: 'a.pdf', attempts: 1, cancelRequested: false, ...fields
+  };
+}
+
+// Job queries answered from one in-memory job; updates are recorded
+function mockJob(t, job) {
+  t.mock.method(Job, 'findOne', () => ({ lean: async () => job }));
+  t.mock.method(Job, 'countDocuments', async () => 0);
+  const cancel = t.mock.method(Job, 'findOneAndUpdate', (query, update) => ({
+    lean: async () => (job.status === 'queued' ? { ...job, ...update.$set } : null)
+  }));
+  const request = t.mock.method(Job, 'findByIdAndUpdate', (id, update) => ({
+    lean: async () => ({ ...job, ...update.$set })
+  }));
+  return { cancel, request };
+}
+
+test('cancelling a queued upload removes its file', async (t) => {
+  const job = makeJob({ filePath: tempFile('upload.pdf') });
+  mockJob(t, job);
+
+  const cancelled = await cancelJob(String(job._id), 'acme');
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(fs.existsSync(job.filePath), false);
+});
+
+test('cancelling a queued re-ingest keeps the original file unless the job uploaded it', async (t) => {
+  const original = makeJob({ type: 'reingest', filePath: tempFile('original.pdf') });
+  mockJob(t, original);
+  await cancelJob(String(original._id), 'acme');
+  assert.equal(fs.existsSync(original.filePath), true);
+
+  t.mock.restoreAll();
+  const uploaded = makeJob({ type: 'reingest', fromUpload: true, filePath: tempFile('replacement.pdf') });
+  mockJob(t, uploaded);
+  await cancelJob(String(uploaded._id), 'acme');
+  assert.equal(fs.existsSync(uploaded.filePath), false);
+});
+
+test('cancelling a running job only requests it', async (t) => {
+  const job = makeJob({ status: 'running', filePath: tempFile('running.pdf') });
+  const { request } = mockJob(t, job);
+
+  const updated = await cancelJob(String(job._id), 'acme');
+
+  assert.equal(updated.cancelRequested, true);
+  assert.equal(updated.status, 'running');
+  assert.equal(request.mock.callCount(), 1);
+  assert.equal(fs.existsSync(job.filePath), true);
+});
+
+test('missing and finished jobs cannot be cancelled', async (t) => {
+  await assert.rejects(cancelJob('not-an-id', 'acme'), { status: 404 });
+
+  mockJob(t, null);
+  await assert.rejects(cancelJob(String(new mongoose.Types.ObjectId()), 'acme'), { status: 404 });
+
+  t.mock.restoreAll();
+  const { cancel } = mockJob(t, makeJob({ status: 'completed' }));
+  await assert.rejects(cancelJob(String(new mongoose.Types.ObjectId()), 'acme'), { status: 409 });
+  assert.equal(cancel.mock.callCount(), 0);
+});
+
+test('interrupted jobs are requeued while their file and attempts remain', async (t) => {
+  const resumable = makeJob({ status: 'running', filePath: tempFile('resume.pdf'), attempts: 1 });
+  const exhausted = makeJob({ status: 'running', filePath: tempFile('exhausted.pdf'), attempts: 2 });
+  const missing = makeJob({ status: 'running', filePath: path.join(tmpDir, 'gone.pdf'), attempts: 1 });
+  const cancelled = makeJob({ status: 'running', filePath: tempFile('cancelled.pdf'), attempts: 1, cancelRequested: true });
+  const reingest = makeJob({ type: 'reingest', status: 'running', filePath: tempFile('kept.pdf'), attempts: 2 });
+  t.mock.method(Job, 'find', () => ({ lean: async () => [resumable, exhausted, missing, cancelled, reingest] }));
+  const updateOne = t.mock.method(Job, 'updateOne', async () => ({}));
+  const deleteMany = t.mock.method(Chunk, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+  assert.equal(await recoverInterruptedJobs(), 5);
+
+  const statuses = new Map(updateOne.mock.calls.map(({ arguments: [query, update] }) => [String(query._id), update.$set]));
+  assert.equal(statuses.get(String(resumable._id)).status, 'queued');
+  assert.equal(statuses.get(String(exhausted._id)).status, 'failed');
+  assert.equal(statuses.get(String(exhausted._id)).error, 'Interrupted by server restart');
+  assert.equal(statuses.get(String(missing._id)).status, 'failed');
+  assert.equal(statuses.get(String(cancelled._id)).status, 'cancelled');
+  assert.equal(statuses.get(String(reingest._id)).status, 'failed');
+
+  // Partial chunks of new documents are dropped; a re-ingest still serves the old ones
+  assert.equal(deleteMany.mock.callCount(), 4);
+  assert.equal(fs.existsSync(resumable.filePath), true);
+  assert.equal(fs.existsSync(exhausted.filePath), false);
+  assert.equal(fs.existsSync(cancelled.filePath), false);
+  assert.equal(fs.existsSync(reingest.filePath), true);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chunk from '../../models/Chunk.js';
+import { createLocalStore } from '../../services/vectorStores/localStore.js';
+import { LEGACY_EMBEDDING_MODEL } from '../../services/embeddingModels.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+const CHUNKS = [
+  { _id: 'a1', docId: 'a', tenant: 'acme', text: 'Invoice total due is 1200 dollars', source: 'a.pdf', page: 1, type: 'text', vector: [1, 0, 0], embeddingModel: 'model-x' },
+  { _id: 'a2', docId: 'a', tenant: 'acme', text: 'Payment terms: net 30 days', source: 'a.pdf', page: 2, type: 'table', vector: [0.8, 0.6, 0], embeddingModel: 'model-x' },
+  { _id: 'b1', docId: 'b', tenant: 'acme', text: 'Safety certificate awarded to Jane', source: 'b.png', page: null, type: 'certificate_ocr', vector: [0, 1, 0] },
+  { _id: 'c1', docId: 'c', tenant: 'globex', text: 'Invoice total due is 99 dollars', source: 'c.pdf', page: 1, type: 'text', vector: [1, 0, 0], embeddingModel: 'model-x' }
+];
+
+// The local store hydrates itself with Chunk.find(...).lean()
+function storeWith(t, chunks = CHUNKS) {
+  t.mock.method(Chunk, 'find', () => ({ lean: async () => chunks.map(c => ({ ...c })) }));
+  return createLocalStore();
+}
+
+test('vector search ranks by cosine on the Atlas score scale', async (t) => {
+  const store = storeWith(t);
+  const results = await store.search([1, 0, 0], { tenant: 'acme', limit: 3 });
+
+  assert.deepEqual(results.map(r => r._id), ['a1', 'a2', 'b1']);
+  assert.equal(results[0].score, 1);
+  assert.equal(results[1].score, 0.9);
+  assert.equal(results[2].score, 0.5);
+  assert.deepEqual(Object.keys(results[0]).sort(), ['_id', 'docId', 'lang', 'metadata', 'page', 'score', 'source', 'text', 'type']);
+});
+
+test('searches never return another tenant\'s chunks', async (t) => {
+  const store = storeWith(t);
+  const vector = await store.search([1, 0, 0], { tenant: 'globex' });
+  const keyword = await store.keywordSearch('invoice', { tenant: 'globex' });
+
+  assert.deepEqual(vector.map(r => r._id), ['c1']);
+  assert.deepEqual(keyword.map(r => r._id), ['c1']);
+});
+
+test('filters apply before the limit', async (t) => {
+  const store = storeWith(t);
+  const byType = await store.search([1, 0, 0], { tenant: 'acme', limit: 1, filter: { types: ['certificate_ocr'] } });
+  const byPage = await store.search([1, 0, 0], { tenant: 'acme', limit: 1, filter: { pageFrom: 2 } });
+  const byDoc = await store.keywordSearch('certificate invoice', { tenant: 'acme', filter: { docIds: ['b'] } });
+
+  assert.deepEqual(byType.map(r => r._id), ['b1']);
+  assert.deepEqual(byPage.map(r => r._id), ['a2']);
+  assert.deepEqual(byDoc.map(r => r._id), ['b1']);
+});
+
+test('chunks without an embedding model count as the legacy model', async (t) => {
+  const store = storeWith(t);
+  const legacy = await store.search([1, 0, 0], { tenant: 'acme', embeddingModel: LEGACY_EMBEDDING_MODEL });
+  const current = await store.search([1, 0, 0], { tenant: 'acme', embeddingModel: 'model-x' });
+
+  assert.deepEqual(legacy.map(r => r._id), ['b1']);
+  assert.deepEqual(current.map(r => r._id), ['a1', 'a2']);
+  assert.deepEqual((await store.embeddingModels('acme')).sort(), ['model-x', null].sort());
+  assert.deepEqual(await store.embeddingModels('globex'), ['model-x']);
+});
+
+test('BM25 keyword search ranks exact terms and ignores unknown ones', async (t) => {
+  const store = storeWith(t);
+  const results = await store.keywordSearch('payment terms', { tenant: 'acme' });
+
+  assert.equal(results[0]._id, 'a2');
+  assert.ok(results[0].score > 0);
+  assert.deepEqual(await store.keywordSearch('nonexistentterm', { tenant: 'acme' }), []);
+});
+
+test('removing a document drops it from both indexes', async (t) => {
+  const store = storeWith(t);
+  t.mock.method(Chunk, 'deleteMany', async () => ({ deletedCount: 2 }));
+  await store.search([1, 0, 0], { tenant: 'acme' });
+
+  assert.equal(await store.remove('a', 'acme'), 2);
+  assert.deepEqual((await store.search([1, 0, 0], { tenant: 'acme' })).map(r => r._id), ['b1']);
+  assert.deepEqual(await store.keywordSearch('invoice', { tenant: 'acme' }), []);
+  assert.deepEqual((await store.search([1, 0, 0], { tenant: 'globex' })).map(r => r._id), ['c1']);
+});
@@ -0,0 +1,88 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Chunk from '../../models/Chunk.js';
+import Document from '../../models/Document.js';
+import Job from '../../models/Job.js';
+import Quota from '../../models/Quota.js';
+import { getQuota, getUsage, checkIngestQuota, setQuota } from '../../services/quotas.js';
+
+const QUOTA_ENV = ['QUOTA_MAX_DOCUMENTS', 'QUOTA_MAX_CHUNKS', 'QUOTA_MAX_BYTES', 'QUOTA_MAX_ACTIVE_JOBS'];
+
+beforeEach(() => {
+  for (const name of QUOTA_ENV) delete process.env[name];
+});
+
+// A tenant storing `documents` documents of `bytes` with `jobs` in flight
+function mockTenant(t, { override = null, documents = 0, chunks = 0, bytes = 0, jobs = [] } = {}) {
+  t.mock.method(Quota, 'findOne', () => ({ lean: async () => override }));
+  t.mock.method(Document, 'countDocuments', async () => documents);
+  t.mock.method(Chunk, 'countDocuments', async () => chunks);
+  t.mock.method(Document, 'aggregate', async () => (documents ? [{ _id: null, bytes }] : []));
+  t.mock.method(Job, 'aggregate', async () => jobs);
+}
+
+test('tenant overrides replace the defaults, 0 meaning unlimited', async (t) => {
+  process.env.QUOTA_MAX_DOCUMENTS = '100';
+  process.env.QUOTA_MAX_BYTES = '5000';
+  mockTenant(t, { override: { tenant: 'acme', maxDocuments: 0, maxChunks: 50, maxBytes: null } });
+
+  assert.deepEqual(await getQuota('acme'), { maxDocuments: null, maxChunks: 50, maxBytes: 5000, maxActiveJobs: 10 });
+});
+
+test('usage counts queued and running uploads as pending, re-ingests only as active jobs', async (t) => {
+  mockTenant(t, {
+    documents: 3, chunks: 40, bytes: 900,
+    jobs: [{ _id: 'ingest', count: 2, bytes: 300 }, { _id: 'reingest', count: 1, bytes: 0 }]
+  });
+
+  assert.deepEqual(await getUsage('acme'), {
+    documents: 3, chunks: 40, bytes: 900, activeJobs: 3, pendingDocuments: 2, pendingBytes: 300
+  });
+});
+
+test('ingestion over a limit is refused with 429, pending uploads included', async (t) => {
+  mockTenant(t, {
+    override: { maxDocuments: 5, maxBytes: 1000 },
+    documents: 3, bytes: 600,
+    jobs: [{ _id: 'ingest', count: 1, bytes: 200 }]
+  });
+
+  await checkIngestQuota('acme', { jobs: 1, documents: 1, bytes: 100 });
+  await assert.rejects(checkIngestQuota('acme', { jobs: 2, documents: 2, bytes: 100 }), (error) => {
+    assert.equal(error.status, 429);
+    assert.match(error.message, /document limit is 5 \(4 stored or queued\)/);
+    assert.equal(error.quota.maxDocuments, 5);
+    assert.equal(error.usage.pendingDocuments, 1);
+    return true;
+  });
+  await assert.rejects(checkIngestQuota('acme', { jobs: 1, documents: 1, bytes: 300 }), /storage limit is 1000 bytes \(800 used or queued\)/);
+  // Replacing documents adds no documents or bytes
+  await checkIngestQuota('acme', { jobs: 1 });
+});
+
+test('active jobs and chunks are limited too; unset limits never refuse', async (t) => {
+  mockTenant(t, { override: { maxActiveJobs: 2, maxChunks: 40 }, documents: 1, chunks: 40, jobs: [{ _id: 'ingest', count: 2, bytes: 0 }] });
+
+  await assert.rejects(checkIngestQuota('acme', { jobs: 1 }), /at most 2 ingestions/);
+  await assert.rejects(checkIngestQuota('acme', { jobs: 0, documents: 1 }), /chunk limit of 40 reached/);
+
+  t.mock.restoreAll();
+  mockTenant(t, { documents: 10000, chunks: 1e6, bytes: 1e12 });
+  await checkIngestQuota('acme', { jobs: 1, documents: 500, bytes: 1e9 });
+});
+
+test('quota overrides are validated before they are stored', async (t) => {
+  const updateOne = t.mock.method(Quota, 'updateOne', async () => ({}));
+  mockTenant(t, { override: { maxDocuments: 20 } });
+
+  await assert.rejects(setQuota('acme', { maxDocuments: -1 }), { status: 400 });
+  await assert.rejects(setQuota('acme', { maxBytes: '10' }), { status: 400 });
+  await assert.rejects(setQuota('acme', { unknown: 1 }), { status: 400 });
+  assert.equal(updateOne.mock.callCount(), 0);
+
+  assert.equal((await setQuota('acme', { maxDocuments: 20, maxChunks: null })).maxDocuments, 20);
+  const [filter, update, options] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { tenant: 'acme' });
+  assert.deepEqual(update, { $set: { tenant: 'acme', maxDocuments: 20 }, $unset: { maxChunks: '' } });
+  assert.deepEqual(options, { upsert: true });
+});